@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Write calendars as static files, without a browser. Options are
+ * the query parameters of calendar-mod.html given as --name value,
+ * or --name alone for a flag, plus:
+ *   --out     file to write (default standard output)
+ *   --format  html, or svg for the bare SVG sheet of the pocketmod
+ *             (default svg if the out file ends in .svg)
+ *   --config  JSON file of a list of option objects, one calendar
+ *             each, e.g. [{"year": 2027, "holidays": "DE", "out": "a.html"}];
+ *             options on the command line apply to all of them
+ * Files named in a config (ics, solarconfig, out) are relative to it.
+ */
+
+import {readFileSync,writeFileSync} from 'node:fs';
+import {dirname,resolve} from 'node:path';
+import {fileURLToPath} from 'node:url';
+import {solarEventsFromList} from '../lib/solar-events.js';
+import {parseICalendar} from '../lib/ical.js';
+import {parseOptions} from '../lib/options.js';
+import {buildYearModel} from '../lib/year-model.js';
+import {pocketmodHtml} from '../lib/pocketmod.js';
+import {pocketmodSvg} from '../lib/render-svg.js';
+import {gridHtml} from '../lib/grid.js';
+import {IMPOSITIONS} from '../lib/imposition.js';
+import {bookletHtml} from '../lib/booklet.js';
+
+/** Directory of the calendar-mod files */
+const home = resolve(dirname(fileURLToPath(import.meta.url)),"..");
+
+const usage = "usage: calendar-mod [--year yyyy] [--locale tag] [--name value | --name]... "
+      + "[--out file] [--config list.json]";
+
+/**
+ * Return query parameters from command-line arguments.
+ */
+const argParams = function(args) {
+    const params = new URLSearchParams();
+    for (let i = 0; i < args.length; i++) {
+	const m = args[i].match(/^--([^=]+)(?:=(.*))?$/);
+	if (!m) {
+	    throw new Error(`unexpected argument ${args[i]}\n${usage}`);
+	}
+	if (m[2] !== undefined) {
+	    params.append(m[1],m[2]);
+	} else if (i+1 < args.length && !args[i+1].startsWith("--")) {
+	    params.append(m[1],args[++i]);
+	} else {
+	    params.append(m[1],"");
+	}
+    }
+    return params;
+}
+
+/**
+ * Return query parameters from config entry over defaults.
+ * True is a flag; false and null leave an option out.
+ */
+const entryParams = function(entry,defaults) {
+    const params = new URLSearchParams(defaults);
+    for (const [name,value] of Object.entries(entry)) {
+	params.delete(name);
+	if (value === true) {
+	    params.append(name,"");
+	} else if (value !== false && value !== null) {
+	    params.append(name,String(value));
+	}
+    }
+    return params;
+}
+
+/**
+ * Return self-contained HTML document of calendar body, with the
+ * calendar style sheet inlined.
+ * @param cls class names of #pocketmod
+ * @param options year, locale and direction
+ */
+const staticPage = function(body,cls,options) {
+    const css = readFileSync(resolve(home,"style/calendar-mod.css"),"utf8");
+    return `<!DOCTYPE html>
+<html lang="${options.locale}" dir="${options.direction}">
+  <head>
+    <meta charset="utf-8"/>
+    <title>Calendar Mod ${options.year}</title>
+    <style>
+${css}
+    </style>
+  </head>
+  <body>
+    <div id="pocketmod" class="${cls}">
+${body}
+    </div>
+  </body>
+</html>
+`;
+}
+
+/** Return static page of the calendar of model, laid out by options. */
+const htmlPage = function(model,options) {
+    const [body,cls] = options.imposition !== "pocketmod" ?
+	  [bookletHtml(model,IMPOSITIONS[options.imposition],options),`booklet ${options.imposition}`]
+	  : options.layout === "grid" ? [gridHtml(model,options),options.poster ? "grid poster" : "grid"]
+	  : options.render === "svg" ? [pocketmodSvg(model,options),"pocketmod svg"]
+	  : [pocketmodHtml(model,options),"pocketmod"];
+    return staticPage(body,cls,options);
+}
+
+/**
+ * Make the calendar of query parameters and write it to the out
+ * file, or return it if there is none. The out file is HTML, or
+ * the bare SVG sheet for format svg, which has no booklet or grid.
+ * @param base the directory of relative file names
+ */
+const generate = function(params,base) {
+    const options = parseOptions(params,Intl.DateTimeFormat().resolvedOptions().locale);
+    const format = params.get("format") || (/\.svg$/i.test(params.get("out") || "") ? "svg" : "html");
+    if (format === "svg" && options.imposition !== "pocketmod") {
+	throw new Error(`imposition ${options.imposition} cannot be written as SVG`);
+    }
+    if (format === "svg" && options.layout === "grid") {
+	throw new Error("layout grid cannot be written as SVG");
+    }
+    if (options.solarConfig) {
+	options.solarEvents.push(
+	    ...solarEventsFromList(JSON.parse(readFileSync(resolve(base,options.solarConfig),"utf8"))));
+    }
+    options.events = options.ics ?
+	parseICalendar(readFileSync(resolve(base,options.ics),"utf8"))
+	: [];
+    const model = buildYearModel(options.year,options);
+    const output = format === "svg" ? pocketmodSvg(model,options) : htmlPage(model,options);
+    if (!params.get("out")) {
+	return output;
+    }
+    writeFileSync(resolve(base,params.get("out")),output);
+    return null;
+}
+
+/**
+ * Run with command-line arguments. Return exit status: 0, or 1 if
+ * any calendar could not be made.
+ */
+const main = function(args) {
+    if (args.includes("--help")) {
+	console.log(usage);
+	return 0;
+    }
+    const params = argParams(args);
+    if (!params.has("config")) {
+	const html = generate(params,process.cwd());
+	if (html !== null) {
+	    process.stdout.write(html);
+	}
+	return 0;
+    }
+    const config = resolve(params.get("config"));
+    params.delete("config");
+    const list = JSON.parse(readFileSync(config,"utf8"));
+    let status = 0;
+    (Array.isArray(list) ? list : [list]).forEach((entry,i) => {
+	try {
+	    if (!entry.out) {
+		throw new Error("no out file");
+	    }
+	    generate(entryParams(entry,params),dirname(config));
+	    console.log(`wrote ${entry.out}`);
+	} catch (e) {
+	    console.error(`calendar-mod: entry ${i+1}: ${e.message}`);
+	    status = 1;
+	}
+    });
+    return status;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    console.error(`calendar-mod: ${e.message}`);
+    process.exitCode = 1;
+}
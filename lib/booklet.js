@@ -0,0 +1,58 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Booklet of a year model (see year-model.js): a cover, one month
+ * grid to a page and notes pages to fill the last sheet, imposed on
+ * sheets by a scheme of imposition.js for duplex printing.
+ */
+
+import {monthGridHtml} from './grid.js';
+import {imposedPageCount,impose} from './imposition.js';
+import {formatNumber} from './locale.js';
+
+/**
+ * Return HTML of the pages of the booklet of model, in reading
+ * order, for a book of count pages (at least 13).
+ */
+const bookletPages = function(model,count,options) {
+    const first = model.months[0];
+    const last = model.months[model.months.length-1];
+    const years = first.year === last.year ? formatNumber(first.year,options)
+	  : `${formatNumber(first.year,options)}&ndash;${formatNumber(last.year,options)}`;
+    const notes = `<div class="notes"><div class="notes-header">Notes</div></div>`;
+    const pages = [`<div class="cover"><span class="year">${years}</span></div>`,
+		   ...model.months.map(m => monthGridHtml(m,options))];
+    while (pages.length < count) {
+	pages.push(notes);
+    }
+    return pages;
+}
+
+/**
+ * Return HTML of the sheet sides of the booklet of model imposed by
+ * scheme, each side a grid of panels to print on its own page.
+ * Options are those of dayHtml and locale.
+ */
+const bookletHtml = function(model,scheme,options) {
+    const count = imposedPageCount(scheme,model.months.length + 2);
+    const pages = bookletPages(model,count,options);
+    return impose(scheme,count).map(
+	side => `<div class="sheet-side" style="grid-template: repeat(${side.rows},1fr) / repeat(${side.cols},1fr)">`
+	    + side.slots.map(s => `<div class="panel${s.turned ? " turned" : ""}" `
+			     + `style="grid-area: ${s.row+1} / ${s.col+1}">`
+			     + `${s.page === null ? "" : pages[s.page]}</div>`).join("")
+	    + "</div>")
+	.join("\n");
+}
+
+export {
+    bookletPages,
+    bookletHtml,
+}
@@ -0,0 +1,53 @@
+/*
+ * This Source Code Form is subject to the terms of the CALENDRICA 4.0
+ * License. If a copy of this license was not distributed with this
+ * file, You can obtain one at
+ * https://github.com/sarabveer/calendrica-js/tree/master/LICENSE
+ */
+
+/*
+ * Ported into ES modules from the ecclesiastical calendar functions
+ * of CALENDRICA 4.0, following https://github.com/sarabveer/calendrica-js.
+ */
+
+import { SUNDAY, kdayAfter, kdayNearest, mod } from './general.js';
+import { APRIL, NOVEMBER, fixedFromGregorian } from './gregorian.js';
+import { fixedFromJulian } from './julian.js';
+
+// Fixed date of Orthodox Easter in Gregorian year g-year.
+const orthodoxEaster = gYear => {
+  const shiftedEpact = mod( 14 + 11 * mod( gYear, 19 ), 30 )
+  const jYear = gYear > 0 ? gYear : gYear - 1
+  const paschalMoon = fixedFromJulian( jYear, APRIL, 19 ) - shiftedEpact
+  return kdayAfter( SUNDAY, paschalMoon )
+}
+
+// Fixed date of Easter in Gregorian year g-year.
+const easter = gYear => {
+  const century = Math.floor( gYear / 100 ) + 1
+  const shiftedEpact = mod(
+    14 + 11 * mod( gYear, 19 )
+      - Math.floor( ( 3 / 4 ) * century )
+      + Math.floor( ( 1 / 25 ) * ( 5 + 8 * century ) ),
+    30,
+  )
+  const adjustedEpact = ( shiftedEpact === 0 || ( shiftedEpact === 1 && mod( gYear, 19 ) > 10 ) )
+    ? shiftedEpact + 1
+    : shiftedEpact
+  const paschalMoon = fixedFromGregorian( gYear, APRIL, 19 ) - adjustedEpact
+  return kdayAfter( SUNDAY, paschalMoon )
+}
+
+// Fixed date of Pentecost in Gregorian year g-year.
+const pentecost = gYear => easter( gYear ) + 49
+
+// Fixed date of Advent in Gregorian year g-year
+// (the Sunday closest to November 30).
+const advent = gYear => kdayNearest( SUNDAY, fixedFromGregorian( gYear, NOVEMBER, 30 ) )
+
+export {
+  orthodoxEaster,
+  easter,
+  pentecost,
+  advent,
+}
@@ -126,6 +126,43 @@ const arctanDegrees = ( y, x ) => {
 // "- 0 - 0" is superfluous. To change to any epoch.
 const dayOfWeekFromFixed = date => mod( date, 7 )
 
+// Residue class of Sunday.
+const SUNDAY = 0
+
+// Residue class of Monday.
+const MONDAY = 1
+
+// Residue class of Tuesday.
+const TUESDAY = 2
+
+// Residue class of Wednesday.
+const WEDNESDAY = 3
+
+// Residue class of Thursday.
+const THURSDAY = 4
+
+// Residue class of Friday.
+const FRIDAY = 5
+
+// Residue class of Saturday.
+const SATURDAY = 6
+
+// Fixed date of the k-day on or before fixed date.
+// k=0 means Sunday, k=1 means Monday, and so on.
+const kdayOnOrBefore = ( k, date ) => date - dayOfWeekFromFixed( date - k )
+
+// Fixed date of the k-day on or after fixed date.
+const kdayOnOrAfter = ( k, date ) => kdayOnOrBefore( k, date + 6 )
+
+// Fixed date of the k-day nearest fixed date.
+const kdayNearest = ( k, date ) => kdayOnOrBefore( k, date + 3 )
+
+// Fixed date of the k-day before fixed date.
+const kdayBefore = ( k, date ) => kdayOnOrBefore( k, date - 1 )
+
+// Fixed date of the k-day after fixed date.
+const kdayAfter = ( k, date ) => kdayOnOrBefore( k, date + 7 )
+
 // Fixed time of start of the julian day number.
 const JD_EPOCH = -1721424.5
 
@@ -180,6 +217,18 @@ export {
   arccosDegrees,
   arctanDegrees,
   dayOfWeekFromFixed,
+  SUNDAY,
+  MONDAY,
+  TUESDAY,
+  WEDNESDAY,
+  THURSDAY,
+  FRIDAY,
+  SATURDAY,
+  kdayOnOrBefore,
+  kdayOnOrAfter,
+  kdayNearest,
+  kdayBefore,
+  kdayAfter,
   JD_EPOCH,
   momentFromJd,
   jdFromMoment,
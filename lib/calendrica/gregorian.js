@@ -10,7 +10,7 @@
  * https://github.com/sarabveer/calendrica-js/blob/master/src/gregorian.js.
  */
 
-import { mod } from './general.js';
+import { kdayAfter, kdayBefore, mod } from './general.js';
 
 // Fixed date of start of the (proleptic) Gregorian calendar.
 const GREGORIAN_EPOCH = 1
@@ -113,6 +113,25 @@ const gregorianDateDifference = (
   fixedFromGregorian( year2, month2, day2 ) - fixedFromGregorian( year1, month1, day1 )
 )
 
+// Fixed date of n-th k-day after Gregorian date. If n>0, return
+// the n-th k-day on or after the date. If n<0, return the n-th
+// k-day on or before the date. If n=0, return bogus.
+// A k-day of 0 means Sunday, 1 means Monday, and so on.
+const nthKday = ( n, k, year, month, day ) => {
+  if ( n > 0 ) {
+    return 7 * n + kdayBefore( k, fixedFromGregorian( year, month, day ) )
+  } if ( n < 0 ) {
+    return 7 * n + kdayAfter( k, fixedFromGregorian( year, month, day ) )
+  }
+  return null // Bogus
+}
+
+// Fixed date of first k-day on or after Gregorian date.
+const firstKday = ( k, year, month, day ) => nthKday( 1, k, year, month, day )
+
+// Fixed date of last k-day on or before Gregorian date.
+const lastKday = ( k, year, month, day ) => nthKday( -1, k, year, month, day )
+
 export {
   GREGORIAN_EPOCH,
   JANUARY,
@@ -135,5 +154,8 @@ export {
   gregorianYearFromFixed,
   gregorianFromFixed,
   gregorianDateDifference,
+  nthKday,
+  firstKday,
+  lastKday,
 }
 
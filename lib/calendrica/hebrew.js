@@ -0,0 +1,202 @@
+/*
+ * This Source Code Form is subject to the terms of the CALENDRICA 4.0
+ * License. If a copy of this license was not distributed with this
+ * file, You can obtain one at
+ * https://github.com/sarabveer/calendrica-js/tree/master/LICENSE
+ */
+
+/*
+ * Ported into ES modules from the Hebrew calendar functions
+ * of CALENDRICA 4.0, following https://github.com/sarabveer/calendrica-js.
+ */
+
+import {
+  SATURDAY,
+  SUNDAY,
+  dayOfWeekFromFixed,
+  final,
+  hr,
+  mod,
+  next,
+} from './general.js';
+import { OCTOBER, gregorianYearFromFixed } from './gregorian.js';
+import { fixedFromJulian } from './julian.js';
+
+// Months of the Hebrew calendar. Adar II only in leap years.
+const NISAN = 1
+const IYYAR = 2
+const SIVAN = 3
+const TAMMUZ = 4
+const AV = 5
+const ELUL = 6
+const TISHRI = 7
+const MARHESHVAN = 8
+const KISLEV = 9
+const TEVET = 10
+const SHEVAT = 11
+const ADAR = 12
+const ADARII = 13
+
+// Fixed date of start of the Hebrew calendar, that is,
+// Tishri 1, 1 AM.
+const HEBREW_EPOCH = fixedFromJulian( -3761, OCTOBER, 7 )
+
+// True if h-year is a leap year on the Hebrew calendar.
+const isHebrewLeapYear = hYear => mod( 7 * hYear + 1, 19 ) < 7
+
+// Number of last month of Hebrew year.
+const lastMonthOfHebrewYear = hYear => ( isHebrewLeapYear( hYear ) ? ADARII : ADAR )
+
+// True if h-year is a sabbatical year on the Hebrew calendar.
+const isHebrewSabbaticalYear = hYear => mod( hYear, 7 ) === 0
+
+// Moment of mean conjunction of h-month in Hebrew h-year.
+const molad = ( hYear, hMonth ) => {
+  const y = hMonth < TISHRI ? hYear + 1 : hYear
+  const monthsElapsed = hMonth - TISHRI + Math.floor( ( 1 / 19 ) * ( 235 * y - 234 ) )
+  return HEBREW_EPOCH - ( 876 / 25920 )
+    + monthsElapsed * ( 29 + hr( 12 ) + ( 793 / 25920 ) )
+}
+
+// Number of days elapsed from the (Sunday) noon prior to the epoch
+// of the Hebrew calendar to the mean conjunction (molad) of Tishri
+// of Hebrew year h-year, or one day later.
+const hebrewCalendarElapsedDays = hYear => {
+  const monthsElapsed = Math.floor( ( 1 / 19 ) * ( 235 * hYear - 234 ) )
+  const partsElapsed = 12084 + 13753 * monthsElapsed
+  const days = 29 * monthsElapsed + Math.floor( partsElapsed / 25920 )
+  return mod( 3 * ( days + 1 ), 7 ) < 3 ? days + 1 : days
+}
+
+// Delays to start of Hebrew year to keep ordinary year in
+// range 353-356 and leap year in range 383-386.
+const hebrewYearLengthCorrection = hYear => {
+  const ny0 = hebrewCalendarElapsedDays( hYear - 1 )
+  const ny1 = hebrewCalendarElapsedDays( hYear )
+  const ny2 = hebrewCalendarElapsedDays( hYear + 1 )
+  if ( ( ny2 - ny1 ) === 356 ) {
+    return 2
+  } if ( ( ny1 - ny0 ) === 382 ) {
+    return 1
+  }
+  return 0
+}
+
+// Fixed date of Hebrew new year h-year.
+const hebrewNewYear = hYear => (
+  HEBREW_EPOCH + hebrewCalendarElapsedDays( hYear ) + hebrewYearLengthCorrection( hYear )
+)
+
+// Number of days in Hebrew year h-year.
+const daysInHebrewYear = hYear => hebrewNewYear( hYear + 1 ) - hebrewNewYear( hYear )
+
+// True if Marheshvan is long in Hebrew year h-year.
+const isLongMarheshvan = hYear => [ 355, 385 ].includes( daysInHebrewYear( hYear ) )
+
+// True if Kislev is short in Hebrew year h-year.
+const isShortKislev = hYear => [ 353, 383 ].includes( daysInHebrewYear( hYear ) )
+
+// Last day of month h-month in Hebrew year h-year.
+const lastDayOfHebrewMonth = ( hYear, hMonth ) => (
+  [ IYYAR, TAMMUZ, ELUL, TEVET, ADARII ].includes( hMonth )
+    || ( hMonth === ADAR && !isHebrewLeapYear( hYear ) )
+    || ( hMonth === MARHESHVAN && !isLongMarheshvan( hYear ) )
+    || ( hMonth === KISLEV && isShortKislev( hYear ) )
+    ? 29
+    : 30
+)
+
+// Sum of the lengths of months from..to (inclusive) of Hebrew year h-year.
+const hebrewMonthDays = ( hYear, from, to ) => {
+  let sum = 0
+  for ( let m = from; m <= to; m++ ) {
+    sum += lastDayOfHebrewMonth( hYear, m )
+  }
+  return sum
+}
+
+// Fixed date of Hebrew date.
+const fixedFromHebrew = ( year, month, day ) => (
+  hebrewNewYear( year ) + day - 1
+    + ( month < TISHRI
+      ? hebrewMonthDays( year, TISHRI, lastMonthOfHebrewYear( year ) )
+        + hebrewMonthDays( year, NISAN, month - 1 )
+      : hebrewMonthDays( year, TISHRI, month - 1 ) )
+)
+
+// Hebrew { year, month, day } corresponding to fixed date.
+// The fraction can be approximated by 365.25.
+const hebrewFromFixed = date => {
+  const approx = Math.floor( ( date - HEBREW_EPOCH ) / ( 35975351 / 98496 ) ) + 1
+  const year = final( approx - 1, y => hebrewNewYear( y ) <= date )
+  const start = date < fixedFromHebrew( year, NISAN, 1 ) ? TISHRI : NISAN
+  const month = next( start, m => date <= fixedFromHebrew( year, m, lastDayOfHebrewMonth( year, m ) ) )
+  const day = date - fixedFromHebrew( year, month, 1 ) + 1
+  return { year, month, day }
+}
+
+// Fixed date of Yom Kippur occurring in Gregorian year g-year.
+const yomKippur = gYear => {
+  const hYear = 1 + gYear - gregorianYearFromFixed( HEBREW_EPOCH )
+  return fixedFromHebrew( hYear, TISHRI, 10 )
+}
+
+// Fixed date of Passover occurring in Gregorian year g-year.
+const passover = gYear => {
+  const hYear = gYear - gregorianYearFromFixed( HEBREW_EPOCH )
+  return fixedFromHebrew( hYear, NISAN, 15 )
+}
+
+// Fixed date of Purim occurring in Gregorian year g-year.
+const purim = gYear => {
+  const hYear = gYear - gregorianYearFromFixed( HEBREW_EPOCH )
+  return fixedFromHebrew( hYear, lastMonthOfHebrewYear( hYear ), 14 )
+}
+
+// Fixed date of Ta'anit Esther occurring in Gregorian year g-year.
+const taAnitEsther = gYear => {
+  const purimDate = purim( gYear )
+  return dayOfWeekFromFixed( purimDate ) === SUNDAY ? purimDate - 3 : purimDate - 1
+}
+
+// Fixed date of Tishah be-Av occurring in Gregorian year g-year.
+const tishahBeAv = gYear => {
+  const hYear = gYear - gregorianYearFromFixed( HEBREW_EPOCH )
+  const av9 = fixedFromHebrew( hYear, AV, 9 )
+  return dayOfWeekFromFixed( av9 ) === SATURDAY ? av9 + 1 : av9
+}
+
+export {
+  NISAN,
+  IYYAR,
+  SIVAN,
+  TAMMUZ,
+  AV,
+  ELUL,
+  TISHRI,
+  MARHESHVAN,
+  KISLEV,
+  TEVET,
+  SHEVAT,
+  ADAR,
+  ADARII,
+  HEBREW_EPOCH,
+  isHebrewLeapYear,
+  lastMonthOfHebrewYear,
+  isHebrewSabbaticalYear,
+  molad,
+  hebrewCalendarElapsedDays,
+  hebrewYearLengthCorrection,
+  hebrewNewYear,
+  daysInHebrewYear,
+  isLongMarheshvan,
+  isShortKislev,
+  lastDayOfHebrewMonth,
+  fixedFromHebrew,
+  hebrewFromFixed,
+  yomKippur,
+  passover,
+  purim,
+  taAnitEsther,
+  tishahBeAv,
+}
@@ -0,0 +1,80 @@
+/*
+ * This Source Code Form is subject to the terms of the CALENDRICA 4.0
+ * License. If a copy of this license was not distributed with this
+ * file, You can obtain one at
+ * https://github.com/sarabveer/calendrica-js/tree/master/LICENSE
+ */
+
+/*
+ * Ported into ES modules from the arithmetic and observational
+ * Islamic calendar functions of CALENDRICA 4.0, following
+ * https://github.com/sarabveer/calendrica-js.
+ */
+
+import { angle, hr, mod } from './general.js';
+import { JULY } from './gregorian.js';
+import { fixedFromJulian } from './julian.js';
+import { MEAN_SYNODIC_MONTH, phasisOnOrBefore } from './astronomy.js';
+
+// Fixed date of start of the Islamic calendar.
+const ISLAMIC_EPOCH = fixedFromJulian( 622, JULY, 16 )
+
+// Sample location for Observational Islamic calendar
+// (Cairo, Egypt).
+const ISLAMIC_LOCATION = {
+  latitude: angle( 30, 1, 0 ),
+  longitude: angle( 31, 14, 0 ),
+  elevation: 200,
+  zone: hr( 2 ),
+}
+
+// True if i-year is an Islamic leap year.
+const isIslamicLeapYear = iYear => mod( 14 + 11 * iYear, 30 ) < 11
+
+// Fixed date equivalent to Islamic date.
+const fixedFromIslamic = ( year, month, day ) => (
+  day
+    + 29 * ( month - 1 )
+    + Math.floor( ( 6 * month - 1 ) / 11 )
+    + ( year - 1 ) * 354
+    + Math.floor( ( 3 + 11 * year ) / 30 )
+    + ISLAMIC_EPOCH - 1
+)
+
+// Islamic date { year, month, day } corresponding to fixed date.
+const islamicFromFixed = date => {
+  const year = Math.floor( ( 30 * ( date - ISLAMIC_EPOCH ) + 10646 ) / 10631 )
+  const priorDays = date - fixedFromIslamic( year, 1, 1 )
+  const month = Math.floor( ( 11 * priorDays + 330 ) / 325 )
+  const day = date - fixedFromIslamic( year, month, 1 ) + 1
+  return { year, month, day }
+}
+
+// Fixed date equivalent to Observational Islamic date at location
+// (default ISLAMIC_LOCATION).
+const fixedFromObservationalIslamic = ( year, month, day, location = ISLAMIC_LOCATION ) => {
+  const midmonth = ISLAMIC_EPOCH
+    + Math.floor( ( ( ( year - 1 ) * 12 ) + month - 0.5 ) * MEAN_SYNODIC_MONTH )
+  return phasisOnOrBefore( midmonth, location ) + day - 1
+}
+
+// Observational Islamic date { year, month, day } corresponding to
+// fixed date at location (default ISLAMIC_LOCATION).
+const observationalIslamicFromFixed = ( date, location = ISLAMIC_LOCATION ) => {
+  const crescent = phasisOnOrBefore( date, location )
+  const elapsedMonths = Math.round( ( crescent - ISLAMIC_EPOCH ) / MEAN_SYNODIC_MONTH )
+  const year = Math.floor( elapsedMonths / 12 ) + 1
+  const month = mod( elapsedMonths, 12 ) + 1
+  const day = date - crescent + 1
+  return { year, month, day }
+}
+
+export {
+  ISLAMIC_EPOCH,
+  ISLAMIC_LOCATION,
+  isIslamicLeapYear,
+  fixedFromIslamic,
+  islamicFromFixed,
+  fixedFromObservationalIslamic,
+  observationalIslamicFromFixed,
+}
@@ -0,0 +1,48 @@
+/*
+ * This Source Code Form is subject to the terms of the CALENDRICA 4.0
+ * License. If a copy of this license was not distributed with this
+ * file, You can obtain one at
+ * https://github.com/sarabveer/calendrica-js/tree/master/LICENSE
+ */
+
+/*
+ * Ported into ES modules from the ISO calendar functions
+ * of CALENDRICA 4.0, following https://github.com/sarabveer/calendrica-js.
+ */
+
+import { SUNDAY, amod } from './general.js';
+import {
+  DECEMBER,
+  JANUARY,
+  fixedFromGregorian,
+  gregorianYearFromFixed,
+  nthKday,
+} from './gregorian.js';
+
+// Fixed date equivalent to ISO year, week and day.
+// Weeks start on Monday, day 1, and end on Sunday, day 7.
+const fixedFromIso = ( year, week, day ) => (
+  nthKday( week, SUNDAY, year - 1, DECEMBER, 28 ) + day
+)
+
+// ISO date { year, week, day } corresponding to the fixed date.
+const isoFromFixed = date => {
+  const approx = gregorianYearFromFixed( date - 3 )
+  const year = date >= fixedFromIso( approx + 1, 1, 1 ) ? approx + 1 : approx
+  const week = 1 + Math.floor( ( date - fixedFromIso( year, 1, 1 ) ) / 7 )
+  const day = amod( date, 7 )
+  return { year, week, day }
+}
+
+// True if ISO year is a long year, of 53 weeks.
+const isIsoLongYear = iYear => {
+  const jan1 = fixedFromGregorian( iYear, JANUARY, 1 )
+  const dec31 = fixedFromGregorian( iYear, DECEMBER, 31 )
+  return isoFromFixed( jan1 ).day === 4 || isoFromFixed( dec31 ).day === 4
+}
+
+export {
+  fixedFromIso,
+  isoFromFixed,
+  isIsoLongYear,
+}
@@ -0,0 +1,75 @@
+/*
+ * This Source Code Form is subject to the terms of the CALENDRICA 4.0
+ * License. If a copy of this license was not distributed with this
+ * file, You can obtain one at
+ * https://github.com/sarabveer/calendrica-js/tree/master/LICENSE
+ */
+
+/*
+ * Refactored into ES modules from
+ * https://github.com/sarabveer/calendrica-js/blob/master/src/julian.js.
+ */
+
+import { listRange, mod } from './general.js';
+import {
+  DECEMBER,
+  JANUARY,
+  MARCH,
+  fixedFromGregorian,
+  gregorianNewYear,
+  gregorianYearRange,
+} from './gregorian.js';
+
+// Fixed date of start of the Julian calendar.
+const JULIAN_EPOCH = fixedFromGregorian( 0, DECEMBER, 30 )
+
+// True if j-year is a leap year on the Julian calendar.
+const isJulianLeapYear = jYear => mod( jYear, 4 ) === ( jYear > 0 ? 0 : 3 )
+
+// Fixed date equivalent to the Julian date j-date.
+// There is no year 0; year -1 is 1 B.C.E.
+const fixedFromJulian = ( year, month, day ) => {
+  const y = year < 0 ? year + 1 : year
+  return JULIAN_EPOCH - 1 + 365 * ( y - 1 )
+    + Math.floor( ( y - 1 ) / 4 )
+    + Math.floor( ( 1 / 12 ) * ( 367 * month - 362 ) )
+    + ( ( month <= 2 ) ? 0 : ( isJulianLeapYear( year ) ? -1 : -2 ) )
+    + day
+}
+
+// Julian (year month day) corresponding to fixed date.
+const julianFromFixed = date => {
+  const approx = Math.floor( ( 1 / 1461 ) * ( 4 * ( date - JULIAN_EPOCH ) + 1464 ) )
+  const year = approx <= 0 ? approx - 1 : approx
+  const priorDays = date - fixedFromJulian( year, JANUARY, 1 )
+  const correction = date < fixedFromJulian( year, MARCH, 1 )
+    ? 0
+    : ( isJulianLeapYear( year ) ? 1 : 2 )
+  const month = Math.floor( ( 1 / 367 ) * ( 12 * ( priorDays + correction ) + 373 ) )
+  const day = date - fixedFromJulian( year, month, 1 ) + 1
+  return { year, month, day }
+}
+
+// The list of the fixed dates of Julian month j-month, day j-day
+// that occur in Gregorian year g-year.
+const julianInGregorian = ( jMonth, jDay, gYear ) => {
+  const jan1 = gregorianNewYear( gYear )
+  const { year: y } = julianFromFixed( jan1 )
+  const yPrime = y === -1 ? 1 : y + 1
+  const date0 = fixedFromJulian( y, jMonth, jDay )
+  const date1 = fixedFromJulian( yPrime, jMonth, jDay )
+  return listRange( [ date0, date1 ], gregorianYearRange( gYear ) )
+}
+
+// List of zero or one fixed dates of Eastern Orthodox Christmas
+// in Gregorian year g-year.
+const easternOrthodoxChristmas = gYear => julianInGregorian( DECEMBER, 25, gYear )
+
+export {
+  JULIAN_EPOCH,
+  isJulianLeapYear,
+  fixedFromJulian,
+  julianFromFixed,
+  julianInGregorian,
+  easternOrthodoxChristmas,
+}
@@ -0,0 +1,61 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Moments when the sun is at a depression angle, as calendrica's
+ * dawn and dusk, but giving up after a number of steps. Near the
+ * poles the calendrica search may not settle and recurses until the
+ * stack runs out.
+ */
+
+import {sec} from './calendrica/general.js';
+import {approxMomentOfDepression,standardFromLocal} from './calendrica/astronomy.js';
+
+/** Most steps of the search before giving up */
+const MAX_STEPS = 32;
+
+/**
+ * Return local moment near approx when the depression angle of the
+ * sun at location is alpha, in the morning if early, or null if
+ * there is none or the search does not settle.
+ */
+const momentOfDepression = function(approx,location,alpha,early) {
+    let tee = approx;
+    for (let i = 0; i < MAX_STEPS; i++) {
+	const next = approxMomentOfDepression(tee,location,alpha,early);
+	if (next === null || Math.abs(next - tee) < sec(30)) {
+	    return next;
+	}
+	tee = next;
+    }
+    return null;
+}
+
+/**
+ * Return standard time in the morning of fixed date at location
+ * when the depression angle of the sun is alpha, or null.
+ */
+const dawnAt = function(date,location,alpha) {
+    const result = momentOfDepression(date + 0.25,location,alpha,true);
+    return result === null ? null : standardFromLocal(result,location);
+}
+
+/**
+ * Return standard time in the evening of fixed date at location
+ * when the depression angle of the sun is alpha, or null.
+ */
+const duskAt = function(date,location,alpha) {
+    const result = momentOfDepression(date + 0.75,location,alpha,false);
+    return result === null ? null : standardFromLocal(result,location);
+}
+
+export {
+    dawnAt,
+    duskAt,
+}
@@ -0,0 +1,145 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Astronomical events of a year, computed once and looked up by
+ * R.D. Lunar phases come from walking the year's lunations, solar
+ * events from one search per longitude, and rise and set times from
+ * one pass over the days. Each index is cached by year, zone and,
+ * for times, location, so a calendar rebuilt after a change of other
+ * options reuses them.
+ */
+
+import {fixedFromGregorian} from './calendrica/gregorian.js';
+import {MEAN_SYNODIC_MONTH,nthNewMoon,lunarPhaseAtOrAfter,sunrise,sunset,moonrise,moonset} from './calendrica/astronomy.js';
+import {solarEventsBetween} from './solar-events.js';
+import {dawnAt,duskAt} from './depression.js';
+import {prayerTimes} from './prayer-times.js';
+import {zonedFromUniversal,universalFromZoned,locationOn} from './zone.js';
+
+/** Lunar phase angles and names */
+const LUNAR_PHASES = [
+    {angle: 0, name: "New moon"},
+    {angle: 90, name: "First quarter"},
+    {angle: 180, name: "Full moon"},
+    {angle: 270, name: "Last quarter"},
+];
+
+/** Indexes by key */
+const cache = new Map();
+
+/**
+ * Return index cached under key, computing it first if not cached.
+ */
+const cached = function(key,compute) {
+    if (!cache.has(key)) {
+	cache.set(key,compute());
+    }
+    return cache.get(key);
+}
+
+/** Return universal moments of start and end of Gregorian year in zone */
+const yearRange = function(year,zone) {
+    return [universalFromZoned(fixedFromGregorian(year,1,1),zone),
+	    universalFromZoned(fixedFromGregorian(year+1,1,1),zone)];
+}
+
+/** Return list of entries grouped by R.D., as map. */
+const byDay = function(list) {
+    const days = new Map();
+    for (const e of list) {
+	days.has(e.rd) ? days.get(e.rd).push(e) : days.set(e.rd,[e]);
+    }
+    return days;
+}
+
+/**
+ * Return map from R.D. of Gregorian year in zone to lunar phase
+ * {angle, name, time} of that day, where time is {moment, local}.
+ */
+const lunarPhaseIndex = function(year,zone) {
+    return cached(`moon ${year} ${zone.name}`,() => {
+	const [start,end] = yearRange(year,zone);
+	const index = new Map();
+	const add = function(phase,tee) {
+	    const local = zonedFromUniversal(tee,zone);
+	    if (start <= tee && tee < end) {
+		index.set(Math.floor(local),{...phase, time: {moment: tee, local: local}});
+	    }
+	}
+	/** from the lunation before the year, for its last quarters */
+	let n = Math.floor((start - nthNewMoon(0))/MEAN_SYNODIC_MONTH) - 1;
+	for (let tee = nthNewMoon(n); tee < end; tee = nthNewMoon(++n)) {
+	    add(LUNAR_PHASES[0],tee);
+	    for (const phase of LUNAR_PHASES.slice(1)) {
+		add(phase,lunarPhaseAtOrAfter(phase.angle,tee));
+	    }
+	}
+	return index;
+    });
+}
+
+/**
+ * Return map from R.D. of Gregorian year in zone to list of solar
+ * events of table that day, each a copy of its table entry with
+ * time {moment, local}.
+ */
+const solarEventIndex = function(year,zone,table) {
+    const [start,end] = yearRange(year,zone);
+    return byDay(table.flatMap(
+	e => cached(`sun ${year} ${zone.name} ${e.longitude}`,
+		    () => solarEventsBetween([e],start,end).map(s => s.moment))
+	    .map(tee => {
+		const local = zonedFromUniversal(tee,zone);
+		return {...e, rd: Math.floor(local), time: {moment: tee, local: local}};
+	    }))
+		 .sort((a,b) => a.time.moment - b.time.moment));
+}
+
+/**
+ * Return map from R.D. of Gregorian year in zone to times of kind
+ * at location: sun {rise, set}, moon {rise, set}, with depression
+ * angle, twilight {dawn, dusk} or, with convention {method, asr} as
+ * angle, prayer {fajr, dhuhr, asr, maghrib, isha}. A time is
+ * {moment, local}, or null if there is none that day.
+ */
+const dayTimeIndex = function(kind,year,zone,location,angle) {
+    const key = `${kind} ${year} ${zone.name} ${location.latitude} ${location.longitude} ${location.elevation} ${JSON.stringify(angle)}`;
+    return cached(key,() => {
+	const index = new Map();
+	for (let rd = fixedFromGregorian(year,1,1); rd < fixedFromGregorian(year+1,1,1); rd++) {
+	    const dayLoc = locationOn(location,rd,zone);
+	    const time = tee => tee === null ? null : {moment: tee - dayLoc.zone, local: tee};
+	    switch (kind) {
+	    case "sun":
+		index.set(rd,{rise: time(sunrise(rd,dayLoc)),set: time(sunset(rd,dayLoc))});
+		break;
+	    case "moon":
+		index.set(rd,{rise: time(moonrise(rd,dayLoc)),set: time(moonset(rd,dayLoc))});
+		break;
+	    case "twilight":
+		index.set(rd,{dawn: time(dawnAt(rd,dayLoc,angle)),dusk: time(duskAt(rd,dayLoc,angle))});
+		break;
+	    case "prayer":
+		index.set(rd,Object.fromEntries(Object.entries(prayerTimes(rd,dayLoc,angle))
+						.map(([name,tee]) => [name,time(tee)])));
+		break;
+	    }
+	}
+	return index;
+    });
+}
+
+export {
+    LUNAR_PHASES,
+    byDay,
+    lunarPhaseIndex,
+    solarEventIndex,
+    dayTimeIndex,
+}
@@ -0,0 +1,92 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Wall calendar layout of a year model (see year-model.js): each
+ * month a grid of weeks of 7 days, one month to a page or all 12 on
+ * one poster. Days are decorated as in the pocketmod.
+ */
+
+import {monthName,cellClass,dayHtml,localTime} from './pocketmod.js';
+import {PRAYERS} from './prayer-times.js';
+import {weekdayNames,formatNumber} from './locale.js';
+
+/**
+ * Return weekday (0 for Sunday) that weeks of month model start on.
+ */
+const firstWeekday = function(month) {
+    return month.days.find(d => d.firstOfWeek).weekday;
+}
+
+/**
+ * Return weeks of month model, each a list of 7 days from the first
+ * day of week, with null for days of the month before or after.
+ */
+const monthWeeks = function(month) {
+    const cells = [...Array((month.days[0].weekday - firstWeekday(month) + 7) % 7).fill(null),
+		   ...month.days];
+    while (cells.length % 7) {
+	cells.push(null);
+    }
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) {
+	weeks.push(cells.slice(i,i+7));
+    }
+    return weeks;
+}
+
+/**
+ * Return HTML of table of the prayer times of month model on the
+ * first day of the month and of each week.
+ */
+const prayerTableHtml = function(m,options) {
+    return `<table class="prayer-table"><tr><th></th>`
+	+ PRAYERS.map(p => `<th>${p.name}</th>`).join("") + "</tr>"
+	+ m.days.filter(d => d.day === 1 || d.firstOfWeek).map(
+	    d => `<tr><th>${formatNumber(d.day,options)}</th>`
+		+ PRAYERS.map(p => `<td>${localTime(d.prayer[p.key])}</td>`).join("") + "</tr>")
+	.join("")
+	+ "</table>";
+}
+
+/**
+ * Return HTML of the grid of month model, with a weekly table of
+ * prayer times in place of those of the days for options
+ * prayerWeekly. Options are those of dayHtml and locale.
+ */
+const monthGridHtml = function(m,options) {
+    const prayerTable = options.prayerWeekly && m.days[0].prayer;
+    const dayOptions = {...options, weekdays: false, prayerTimes: !prayerTable};
+    return `<div class="grid-month">`
+	+ `<div class="grid-header">${monthName(m.year,m.month,false,options.locale)}`
+	+ `<span class="year">${formatNumber(m.year,options)}</span></div>`
+	+ `<div class="grid-weeks">`
+	+ [0,1,2,3,4,5,6].map(i => weekdayNames(options.locale,options.weekdayWidth || "short")
+			      [(firstWeekday(m) + i) % 7])
+	    .map(w => `<div class="grid-weekday">${w}</div>`).join("")
+	+ monthWeeks(m).flat().map(
+	    d => d ? `<div class="${cellClass({day: d})}">${dayHtml(d,dayOptions)}</div>`
+		: `<div class="grid-blank"></div>`).join("")
+	+ "</div>"
+	+ (prayerTable ? prayerTableHtml(m,options) : "")
+	+ "</div>";
+}
+
+/**
+ * Return HTML of the month grids of model.
+ */
+const gridHtml = function(model,options) {
+    return model.months.map(m => monthGridHtml(m,options)).join("\n");
+}
+
+export {
+    monthWeeks,
+    monthGridHtml,
+    gridHtml,
+}
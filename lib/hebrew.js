@@ -0,0 +1,73 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Hebrew dates of the year model: the Hebrew day and month of a
+ * fixed date, Rosh Chodesh, and the major holidays as rules for the
+ * holiday engine in holidays.js. Holidays are those of the diaspora,
+ * with Simchat Torah the day after Shemini Atzeret.
+ */
+
+import {TISHRI,KISLEV,SHEVAT,ADAR,NISAN,SIVAN,AV,
+	isHebrewLeapYear,hebrewFromFixed} from './calendrica/hebrew.js';
+
+/** Major holidays, Adar being Adar II in a leap year */
+const HEBREW_HOLIDAYS = [
+    {label: "Rosh Hashanah", type: "hebrew", month: TISHRI, day: 1},
+    {label: "Rosh Hashanah II", type: "hebrew", month: TISHRI, day: 2},
+    {label: "Yom Kippur", type: "hebrew", month: TISHRI, day: 10},
+    {label: "Sukkot", type: "hebrew", month: TISHRI, day: 15},
+    {label: "Shemini Atzeret", type: "hebrew", month: TISHRI, day: 22},
+    {label: "Simchat Torah", type: "hebrew", month: TISHRI, day: 23},
+    {label: "Hanukkah", type: "hebrew", month: KISLEV, day: 25},
+    {label: "Tu BiShvat", type: "hebrew", month: SHEVAT, day: 15},
+    {label: "Purim", type: "hebrew", month: ADAR, day: 14},
+    {label: "Pesach", type: "hebrew", month: NISAN, day: 15},
+    {label: "Shavuot", type: "hebrew", month: SIVAN, day: 6},
+    {label: "Tisha B'Av", type: "hebrew", month: AV, day: 9, postpone: true},
+];
+
+/** Month names from Nisan, English and Hebrew, Adar II last */
+const HEBREW_MONTH_NAMES = {
+    en: ["Nisan","Iyyar","Sivan","Tammuz","Av","Elul","Tishri","Heshvan",
+	 "Kislev","Tevet","Shevat","Adar","Adar II"],
+    he: ["ניסן","אייר","סיוון","תמוז","אב","אלול","תשרי","חשוון",
+	 "כסלו","טבת","שבט","אדר","אדר ב׳"],
+};
+
+/**
+ * Return name of Hebrew month of year in the language of locale
+ * (Hebrew or else English): Adar I in a leap year.
+ */
+const hebrewMonthName = function(year,month,locale) {
+    const hebrew = /^(he|iw)\b/i.test(locale || "");
+    if (month === ADAR && isHebrewLeapYear(year)) {
+	return hebrew ? "אדר א׳" : "Adar I";
+    }
+    return HEBREW_MONTH_NAMES[hebrew ? "he" : "en"][month-1];
+}
+
+/**
+ * Return Hebrew date of R.D. as {year, month, day, monthName,
+ * roshChodesh}, roshChodesh true on the first of a month other than
+ * Tishri and on the 30th, the first day of a two-day Rosh Chodesh.
+ */
+const hebrewDate = function(rd,locale) {
+    const {year,month,day} = hebrewFromFixed(rd);
+    return {year: year, month: month, day: day,
+	    monthName: hebrewMonthName(year,month,locale),
+	    roshChodesh: day === 30 || (day === 1 && month !== TISHRI)};
+}
+
+export {
+    HEBREW_HOLIDAYS,
+    HEBREW_MONTH_NAMES,
+    hebrewMonthName,
+    hebrewDate,
+}
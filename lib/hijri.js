@@ -0,0 +1,87 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Hijri dates of the year model, on the arithmetic (tabular) Islamic
+ * calendar or the observational one, whose months begin on the
+ * evening the new crescent is first seen at a location, and the
+ * start of Ramadan and the two Eids.
+ */
+
+import {islamicFromFixed,observationalIslamicFromFixed,ISLAMIC_LOCATION} from './calendrica/islamic.js';
+import {phasisOnOrBefore,phasisOnOrAfter} from './calendrica/astronomy.js';
+
+/** Holidays by Hijri month and day */
+const HIJRI_HOLIDAYS = [
+    {label: "Ramadan begins", month: 9, day: 1},
+    {label: "Eid al-Fitr", month: 10, day: 1},
+    {label: "Eid al-Adha", month: 12, day: 10},
+];
+
+/** Month names from Muharram, English and Arabic */
+const HIJRI_MONTH_NAMES = {
+    en: ["Muharram","Safar","Rabi' I","Rabi' II","Jumada I","Jumada II",
+	 "Rajab","Sha'ban","Ramadan","Shawwal","Dhu al-Qa'dah","Dhu al-Hijjah"],
+    ar: ["محرم","صفر","ربيع الأول","ربيع الآخر","جمادى الأولى","جمادى الآخرة",
+	 "رجب","شعبان","رمضان","شوال","ذو القعدة","ذو الحجة"],
+};
+
+/**
+ * Return name of Hijri month in the language of locale (Arabic or
+ * else English).
+ */
+const hijriMonthName = function(month,locale) {
+    return HIJRI_MONTH_NAMES[/^ar\b/i.test(locale || "") ? "ar" : "en"][month-1];
+}
+
+/**
+ * Return map from R.D. from start up to but not including end to
+ * Hijri date {year, month, day}, tabular or, if observational, with
+ * each month from the crescent first seen at location (default
+ * that of calendrica, Cairo). A month is 29 or 30 days, so the next
+ * crescent is sought from the 28th day on.
+ */
+const hijriDates = function(start,end,observational,location = ISLAMIC_LOCATION) {
+    const dates = new Map();
+    if (!observational) {
+	for (let rd = start; rd < end; rd++) {
+	    dates.set(rd,islamicFromFixed(rd));
+	}
+	return dates;
+    }
+    let crescent = phasisOnOrBefore(start,location);
+    let {year,month} = observationalIslamicFromFixed(crescent,location);
+    while (crescent < end) {
+	const next = phasisOnOrAfter(crescent + 28,location);
+	for (let rd = Math.max(crescent,start); rd < Math.min(next,end); rd++) {
+	    dates.set(rd,{year: year, month: month, day: rd - crescent + 1});
+	}
+	[year,month] = month === 12 ? [year + 1,1] : [year,month + 1];
+	crescent = next;
+    }
+    return dates;
+}
+
+/**
+ * Return Hijri date {year, month, day} as {year, month, day,
+ * monthName, holidays: [{label}]} in locale.
+ */
+const hijriDay = function(date,locale) {
+    return {...date, monthName: hijriMonthName(date.month,locale),
+	    holidays: HIJRI_HOLIDAYS.filter(h => h.month === date.month && h.day === date.day)
+	    .map(({label}) => ({label}))};
+}
+
+export {
+    HIJRI_HOLIDAYS,
+    HIJRI_MONTH_NAMES,
+    hijriMonthName,
+    hijriDates,
+    hijriDay,
+}
@@ -0,0 +1,231 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Public holidays from rules. A rule has a short label and one of
+ * these types:
+ *   fixed    month and day
+ *   weekday  n-th weekday on or after month and day (day default 1),
+ *            or with negative n, on or before it
+ *   last     last weekday of month
+ *   easter   offset days from (Gregorian) Easter Sunday
+ *   orthodox offset days from Orthodox Easter Sunday
+ *   advent   offset days from the first Sunday of Advent
+ *   julian   month and day on the Julian calendar
+ *   hebrew   month and day on the Hebrew calendar, Nisan 1 to Adar
+ *            12 (Adar II in a leap year): Tishri to Adar of the
+ *            Hebrew year that starts in the year, Nisan to Elul of
+ *            the one that ends in it
+ * Weekdays are 0 for Sunday to 6 for Saturday.
+ * A rule may also have:
+ *   observed "nearest" to move a Saturday holiday to Friday and a
+ *            Sunday one to Monday, "following" to move a weekend
+ *            holiday to the next weekday that is not a holiday
+ *            of the same set
+ *   from     first year the holiday is kept
+ *   postpone true to move a holiday from Saturday to Sunday
+ *   set      the set of rules it belongs to, such as a country code
+ */
+
+import {MONDAY,THURSDAY,SATURDAY,SUNDAY,dayOfWeekFromFixed,kdayOnOrBefore} from './calendrica/general.js';
+import {fixedFromGregorian,nthKday,gregorianYearFromFixed} from './calendrica/gregorian.js';
+import {easter,orthodoxEaster,advent} from './calendrica/ecclesiastical.js';
+import {fixedFromJulian} from './calendrica/julian.js';
+import {TISHRI,ADAR,ADARII,isHebrewLeapYear,fixedFromHebrew} from './calendrica/hebrew.js';
+
+/** Holiday rules by country code */
+const HOLIDAY_PRESETS = {
+    US: [
+	{label: "New Year's Day", type: "fixed", month: 1, day: 1, observed: "nearest"},
+	{label: "M. L. King Day", type: "weekday", n: 3, weekday: MONDAY, month: 1, from: 1986},
+	{label: "Presidents' Day", type: "weekday", n: 3, weekday: MONDAY, month: 2},
+	{label: "Memorial Day", type: "last", weekday: MONDAY, month: 5},
+	{label: "Juneteenth", type: "fixed", month: 6, day: 19, observed: "nearest", from: 2021},
+	{label: "Independence Day", type: "fixed", month: 7, day: 4, observed: "nearest"},
+	{label: "Labor Day", type: "weekday", n: 1, weekday: MONDAY, month: 9},
+	{label: "Columbus Day", type: "weekday", n: 2, weekday: MONDAY, month: 10},
+	{label: "Veterans Day", type: "fixed", month: 11, day: 11, observed: "nearest"},
+	{label: "Thanksgiving", type: "weekday", n: 4, weekday: THURSDAY, month: 11},
+	{label: "Christmas Day", type: "fixed", month: 12, day: 25, observed: "nearest"},
+    ],
+    UK: [
+	{label: "New Year's Day", type: "fixed", month: 1, day: 1, observed: "following"},
+	{label: "Good Friday", type: "easter", offset: -2},
+	{label: "Easter Monday", type: "easter", offset: 1},
+	{label: "Early May Bank Hol.", type: "weekday", n: 1, weekday: MONDAY, month: 5},
+	{label: "Spring Bank Hol.", type: "last", weekday: MONDAY, month: 5},
+	{label: "Summer Bank Hol.", type: "last", weekday: MONDAY, month: 8},
+	{label: "Christmas Day", type: "fixed", month: 12, day: 25, observed: "following"},
+	{label: "Boxing Day", type: "fixed", month: 12, day: 26, observed: "following"},
+    ],
+    DE: [
+	{label: "Neujahr", type: "fixed", month: 1, day: 1},
+	{label: "Karfreitag", type: "easter", offset: -2},
+	{label: "Ostermontag", type: "easter", offset: 1},
+	{label: "Tag der Arbeit", type: "fixed", month: 5, day: 1},
+	{label: "Christi Himmelfahrt", type: "easter", offset: 39},
+	{label: "Pfingstmontag", type: "easter", offset: 50},
+	{label: "Tag der Dt. Einheit", type: "fixed", month: 10, day: 3, from: 1990},
+	{label: "1. Weihnachtstag", type: "fixed", month: 12, day: 25},
+	{label: "2. Weihnachtstag", type: "fixed", month: 12, day: 26},
+    ],
+    FR: [
+	{label: "Jour de l'An", type: "fixed", month: 1, day: 1},
+	{label: "Lundi de Pâques", type: "easter", offset: 1},
+	{label: "Fête du Travail", type: "fixed", month: 5, day: 1},
+	{label: "Victoire 1945", type: "fixed", month: 5, day: 8},
+	{label: "Ascension", type: "easter", offset: 39},
+	{label: "Lundi de Pentecôte", type: "easter", offset: 50},
+	{label: "Fête nationale", type: "fixed", month: 7, day: 14},
+	{label: "Assomption", type: "fixed", month: 8, day: 15},
+	{label: "Toussaint", type: "fixed", month: 11, day: 1},
+	{label: "Armistice", type: "fixed", month: 11, day: 11},
+	{label: "Noël", type: "fixed", month: 12, day: 25},
+    ],
+    CA: [
+	{label: "New Year's Day", type: "fixed", month: 1, day: 1, observed: "following"},
+	{label: "Good Friday", type: "easter", offset: -2},
+	{label: "Victoria Day", type: "weekday", n: -1, weekday: MONDAY, month: 5, day: 24},
+	{label: "Canada Day", type: "fixed", month: 7, day: 1, observed: "following"},
+	{label: "Labour Day", type: "weekday", n: 1, weekday: MONDAY, month: 9},
+	{label: "Truth & Reconciliation", type: "fixed", month: 9, day: 30, from: 2021},
+	{label: "Thanksgiving", type: "weekday", n: 2, weekday: MONDAY, month: 10},
+	{label: "Remembrance Day", type: "fixed", month: 11, day: 11},
+	{label: "Christmas Day", type: "fixed", month: 12, day: 25, observed: "following"},
+	{label: "Boxing Day", type: "fixed", month: 12, day: 26, observed: "following"},
+    ],
+    IT: [
+	{label: "Capodanno", type: "fixed", month: 1, day: 1},
+	{label: "Epifania", type: "fixed", month: 1, day: 6},
+	{label: "Lunedì dell'Angelo", type: "easter", offset: 1},
+	{label: "Liberazione", type: "fixed", month: 4, day: 25},
+	{label: "Festa del Lavoro", type: "fixed", month: 5, day: 1},
+	{label: "Festa della Repubblica", type: "fixed", month: 6, day: 2},
+	{label: "Ferragosto", type: "fixed", month: 8, day: 15},
+	{label: "Ognissanti", type: "fixed", month: 11, day: 1},
+	{label: "Immacolata", type: "fixed", month: 12, day: 8},
+	{label: "Natale", type: "fixed", month: 12, day: 25},
+	{label: "Santo Stefano", type: "fixed", month: 12, day: 26},
+    ],
+};
+
+/** Alternate country codes */
+HOLIDAY_PRESETS.GB = HOLIDAY_PRESETS.UK;
+
+/**
+ * Return R.D. of holiday by rule in Gregorian year (Julian year
+ * for a julian rule), or null if it is not kept that year.
+ */
+const holidayDate = function(rule,year) {
+    if (rule.from && year < rule.from) {
+	return null;
+    }
+    switch (rule.type) {
+    case "fixed":
+	return fixedFromGregorian(year,rule.month,rule.day);
+    case "weekday":
+	return nthKday(rule.n,rule.weekday,year,rule.month,rule.day || 1);
+    case "last":
+	return kdayOnOrBefore(rule.weekday,
+			      (rule.month === 12 ? fixedFromGregorian(year+1,1,1)
+			       : fixedFromGregorian(year,rule.month+1,1)) - 1);
+    case "easter":
+	return easter(year) + rule.offset;
+    case "orthodox":
+	return orthodoxEaster(year) + rule.offset;
+    case "advent":
+	return advent(year) + rule.offset;
+    case "julian":
+	return fixedFromJulian(year,rule.month,rule.day);
+    case "hebrew": {
+	/** Tishri 1 of year + 3761 falls in the autumn of year */
+	const hYear = rule.month >= TISHRI ? year + 3761 : year + 3760;
+	const month = rule.month === ADAR && isHebrewLeapYear(hYear) ? ADARII : rule.month;
+	const rd = fixedFromHebrew(hYear,month,rule.day);
+	return rule.postpone && dayOfWeekFromFixed(rd) === SATURDAY ? rd + 1 : rd;
+    }
+    default:
+	return null;
+    }
+}
+
+/**
+ * Return holidays by rules from R.D. start up to but not including
+ * R.D. end, in order of date. Each is {rd, label, observed}, where
+ * observed is true for a day kept in place of a weekend holiday.
+ * A holiday in more than one set of rules is listed once, each set
+ * moving weekend holidays past its own holidays only.
+ */
+const holidaysBetween = function(rules,start,end) {
+    const firstYear = gregorianYearFromFixed(start) - 1;
+    const lastYear = gregorianYearFromFixed(end) + 1;
+    const days = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+	for (const rule of rules) {
+	    const rd = holidayDate(rule,year);
+	    if (rd !== null) {
+		days.push({rd: rd, label: rule.label, observed: false, rule: rule});
+	    }
+	}
+    }
+    days.sort((a,b) => a.rd - b.rd);
+    /** days of holidays, by set of rules */
+    const taken = new Map();
+    for (const h of days) {
+	if (!taken.has(h.rule.set)) {
+	    taken.set(h.rule.set,new Set());
+	}
+	taken.get(h.rule.set).add(h.rd);
+    }
+    const observed = [];
+    for (const h of days) {
+	const dow = dayOfWeekFromFixed(h.rd);
+	if (dow !== SATURDAY && dow !== SUNDAY) {
+	    continue;
+	}
+	let rd = null;
+	if (h.rule.observed === "nearest") {
+	    rd = dow === SATURDAY ? h.rd - 1 : h.rd + 1;
+	} else if (h.rule.observed === "following") {
+	    rd = h.rd + 1;
+	    while (taken.get(h.rule.set).has(rd) || [SATURDAY,SUNDAY].includes(dayOfWeekFromFixed(rd))) {
+		rd++;
+	    }
+	}
+	if (rd !== null) {
+	    taken.get(h.rule.set).add(rd);
+	    observed.push({rd: rd, label: h.label, observed: true});
+	}
+    }
+    const seen = new Set();
+    return [...days.map(({rd,label,observed}) => ({rd,label,observed})),...observed]
+	.filter(h => start <= h.rd && h.rd < end)
+	.filter(h => {
+	    const key = `${h.rd} ${h.label}`;
+	    return !seen.has(key) && seen.add(key);
+	})
+	.sort((a,b) => a.rd - b.rd);
+}
+
+/**
+ * Return holiday rules of comma-separated list of country codes,
+ * e.g. "US,CA", each with its code as set. Unknown codes are skipped.
+ */
+const holidayRules = function(spec) {
+    return (spec || "").split(",")
+	.map(c => c.trim().toUpperCase())
+	.flatMap(c => (HOLIDAY_PRESETS[c] || []).map(rule => ({...rule, set: c})));
+}
+
+export {
+    HOLIDAY_PRESETS,
+    holidayDate,
+    holidaysBetween,
+    holidayRules,
+}
@@ -0,0 +1,384 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Reading and writing iCalendar (RFC 5545) files. Only VEVENTs are read, with
+ * their summary, start, end or duration, and recurrence: RRULE with
+ * FREQ, INTERVAL, COUNT, UNTIL, BYMONTH, BYMONTHDAY and BYDAY,
+ * EXDATE and RECURRENCE-ID. Dates are R.D.s as in calendrica and
+ * times are fractions of a day.
+ */
+
+import {mod,dayOfWeekFromFixed,timeFromMoment,momentFromUnix} from './calendrica/general.js';
+import {fixedFromGregorian,gregorianFromFixed} from './calendrica/gregorian.js';
+import {makeZone,zonedFromUniversal,universalFromZoned} from './zone.js';
+
+/** iCalendar weekday names, by calendrica day of week */
+const ICAL_WEEKDAYS = ["SU","MO","TU","WE","TH","FR","SA"];
+
+/** Index of the colon ending the name and parameters of a content line. */
+const valueColon = function(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+	if (line[i] === '"') {
+	    quoted = !quoted;
+	} else if (line[i] === ":" && !quoted) {
+	    return i;
+	}
+    }
+    return -1;
+}
+
+/**
+ * Return content lines of iCalendar text, unfolded, as list of
+ * {name, params, value}.
+ */
+const contentLines = function(text) {
+    return text.replace(/\r?\n[ \t]/g,"")
+	.split(/\r?\n/)
+	.filter(line => valueColon(line) > 0)
+	.map(line => {
+	    const colon = valueColon(line);
+	    const [name,...params] = line.slice(0,colon).split(";");
+	    return {name: name.toUpperCase(),
+		    params: Object.fromEntries(params.map(p => {
+			const [k,v] = p.split("=");
+			return [k.toUpperCase(),(v || "").replace(/^"|"$/g,"")];
+		    })),
+		    value: line.slice(colon+1)};
+	});
+}
+
+/** Return TEXT property value with escapes undone. */
+const unescapeText = function(value) {
+    return value.replace(/\\([nN,;\\])/g,(m,c) => c === "n" || c === "N" ? "\n" : c);
+}
+
+/**
+ * Parse DATE or DATE-TIME value as {rd, time, tzid, utc}.
+ * Time is null for a DATE. Null if the value is not a date.
+ */
+const parseDateValue = function(value,params) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?/.exec(value || "");
+    if (!m) {
+	return null;
+    }
+    return {rd: fixedFromGregorian(+m[1],+m[2],+m[3]),
+	    time: m[4] === undefined ? null
+	    : (+m[4]*60*60 + +m[5]*60 + (+m[6] || 0))/(24*60*60),
+	    tzid: params.TZID ? params.TZID.replace(/^\//,"") : null,
+	    utc: m[7] === "Z"};
+}
+
+/** Parse DURATION value as fraction of days, or null. */
+const parseDuration = function(value) {
+    const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || "");
+    if (!m) {
+	return null;
+    }
+    const days = 7*(+m[2] || 0) + (+m[3] || 0)
+	  + ((+m[4] || 0)*60*60 + (+m[5] || 0)*60 + (+m[6] || 0))/(24*60*60);
+    return m[1] === "-" ? -days : days;
+}
+
+/**
+ * Parse RRULE value as {freq, interval, count, until, byMonth,
+ * byMonthDay, byDay}. Each byDay entry is {n, weekday}, n 0 for
+ * every such weekday.
+ */
+const parseRule = function(value) {
+    const p = Object.fromEntries(value.split(";").map(s => s.split("=")));
+    const list = s => s ? s.split(",") : [];
+    return {freq: (p.FREQ || "").toUpperCase(),
+	    interval: parseInt(p.INTERVAL) || 1,
+	    count: parseInt(p.COUNT) || null,
+	    until: p.UNTIL ? parseDateValue(p.UNTIL,{}) : null,
+	    byMonth: list(p.BYMONTH).map(Number),
+	    byMonthDay: list(p.BYMONTHDAY).map(Number),
+	    byDay: list(p.BYDAY).map(s => {
+		const m = /^([+-]?\d+)?([A-Z]{2})$/.exec(s.toUpperCase());
+		return m && {n: parseInt(m[1]) || 0, weekday: ICAL_WEEKDAYS.indexOf(m[2])};
+	    }).filter(d => d && d.weekday >= 0)};
+}
+
+/**
+ * Parse iCalendar text into list of events {uid, summary, start,
+ * end, duration, rule, exdates, recurrenceId}. Start, end and
+ * recurrenceId are parsed date values; exdates is a set of local
+ * R.D.s. Cancelled events are left out, as are the properties of
+ * components within events, such as VALARM.
+ */
+const parseICalendar = function(text) {
+    const events = [];
+    let ev = null;
+    /** names of the components the line is in, innermost last */
+    const components = [];
+    for (const {name,params,value} of contentLines(text)) {
+	if (name === "BEGIN") {
+	    components.push(value.toUpperCase());
+	    if (value.toUpperCase() === "VEVENT") {
+		ev = {uid: null, summary: "", start: null, end: null, duration: null,
+		      rule: null, exdates: new Set(), recurrenceId: null, cancelled: false};
+	    }
+	} else if (name === "END") {
+	    if (components.pop() === "VEVENT") {
+		if (ev && ev.start && !ev.cancelled) {
+		    events.push(ev);
+		}
+		ev = null;
+	    }
+	} else if (ev && components[components.length-1] === "VEVENT") {
+	    switch (name) {
+	    case "UID": ev.uid = value; break;
+	    case "SUMMARY": ev.summary = unescapeText(value); break;
+	    case "DTSTART": ev.start = parseDateValue(value,params); break;
+	    case "DTEND": ev.end = parseDateValue(value,params); break;
+	    case "DURATION": ev.duration = parseDuration(value); break;
+	    case "RRULE": ev.rule = parseRule(value); break;
+	    case "RECURRENCE-ID": ev.recurrenceId = parseDateValue(value,params); break;
+	    case "STATUS": ev.cancelled = value.toUpperCase() === "CANCELLED"; break;
+	    case "EXDATE":
+		for (const v of value.split(",")) {
+		    const d = parseDateValue(v,params);
+		    if (d) {
+			ev.exdates.add(d.rd);
+		    }
+		}
+		break;
+	    }
+	}
+    }
+    /** a changed instance replaces the one it was made from */
+    for (const e of events.filter(e => e.recurrenceId)) {
+	const master = events.find(m => m.uid === e.uid && !m.recurrenceId);
+	if (master) {
+	    master.exdates.add(e.recurrenceId.rd);
+	}
+    }
+    return events;
+}
+
+/** Fixed date of day of month, counting back from the end if negative. */
+const monthDay = function(year,month,day) {
+    const first = fixedFromGregorian(year,month,1);
+    const next = month === 12 ? fixedFromGregorian(year+1,1,1) : fixedFromGregorian(year,month+1,1);
+    const rd = day > 0 ? first + day - 1 : next + day;
+    return first <= rd && rd < next ? rd : null;
+}
+
+/**
+ * Dates in month matching BYMONTHDAY and BYDAY of rule, both if it
+ * has both, or the day of month of date s if the rule has neither.
+ */
+const datesInMonth = function(rule,year,month,s) {
+    const monthDays = rule.byMonthDay.map(d => monthDay(year,month,d)).filter(d => d !== null);
+    if (rule.byDay.length) {
+	const first = monthDay(year,month,1);
+	const last = monthDay(year,month,-1);
+	const dates = [];
+	for (const {n,weekday} of rule.byDay) {
+	    const all = [];
+	    for (let rd = first + mod(weekday - dayOfWeekFromFixed(first),7); rd <= last; rd += 7) {
+		all.push(rd);
+	    }
+	    dates.push(...(n === 0 ? all : [all[n > 0 ? n-1 : all.length+n]]));
+	}
+	return dates.filter(d => d !== undefined
+			    && (!rule.byMonthDay.length || monthDays.includes(d)));
+    }
+    if (rule.byMonthDay.length) {
+	return monthDays;
+    }
+    return [monthDay(year,month,gregorianFromFixed(s).day)].filter(d => d !== null);
+}
+
+/**
+ * Candidate dates of period k of rule started at date s, in order.
+ */
+const periodDates = function(rule,s,k) {
+    const {year,month} = gregorianFromFixed(s);
+    let dates = [];
+    switch (rule.freq) {
+    case "DAILY":
+	dates = [s + k*rule.interval]
+	    .filter(d => !rule.byDay.length
+		    || rule.byDay.some(b => b.weekday === dayOfWeekFromFixed(d)));
+	break;
+    case "WEEKLY": {
+	const weekStart = s - mod(dayOfWeekFromFixed(s) - 1,7) + 7*k*rule.interval;
+	dates = rule.byDay.length
+	    ? rule.byDay.map(d => weekStart + mod(d.weekday - 1,7))
+	    : [s + 7*k*rule.interval];
+	break;
+    }
+    case "MONTHLY": {
+	const m = month - 1 + k*rule.interval;
+	dates = datesInMonth(rule,year + Math.floor(m/12),mod(m,12) + 1,s);
+	break;
+    }
+    case "YEARLY": {
+	const y = year + k*rule.interval;
+	const months = rule.byMonth.length ? rule.byMonth : [month];
+	dates = months.flatMap(m => datesInMonth(rule,y,m,s));
+	break;
+    }
+    }
+    return dates
+	.filter(d => !rule.byMonth.length || rule.byMonth.includes(gregorianFromFixed(d).month))
+	.sort((a,b) => a - b);
+}
+
+/**
+ * Local start dates of occurrences of event up to but not including
+ * date end, including those excluded by EXDATE.
+ */
+const occurrenceDates = function(ev,end) {
+    const s = ev.start.rd;
+    const rule = ev.rule;
+    if (!rule || !["DAILY","WEEKLY","MONTHLY","YEARLY"].includes(rule.freq)) {
+	return [s];
+    }
+    const dates = [s];
+    const until = rule.until && rule.until.rd;
+    for (let k = 0; ; k++) {
+	const period = periodDates(rule,s,k);
+	if (rule.freq === "DAILY" ? s + k*rule.interval >= end
+	    : period.length === 0 ? k > 12*400 : period[0] >= end) {
+	    break;
+	}
+	for (const d of period) {
+	    if (d <= s) {
+		continue;
+	    }
+	    if ((until !== null && d > until) || d >= end
+		|| (rule.count && dates.length >= rule.count)) {
+		return dates;
+	    }
+	    dates.push(d);
+	}
+    }
+    return dates;
+}
+
+/**
+ * Return occurrences of events that fall on days from R.D. start up
+ * to but not including R.D. end in zone, as {rd, summary, allDay,
+ * time}, where time is the start time in zone on the first day of
+ * the event and null for all-day events and on later days.
+ */
+const eventsBetween = function(events,start,end,zone) {
+    const days = [];
+    for (const ev of events) {
+	const allDay = ev.start.time === null;
+	const evZone = ev.start.utc ? makeZone("UTC")
+	      : (ev.start.tzid && makeZone(ev.start.tzid)) || zone;
+	const endLocal = ev.end ? ev.end.rd + (ev.end.time || 0) : null;
+	const length = ev.duration !== null ? ev.duration
+	      : (endLocal !== null ? endLocal - ev.start.rd - (ev.start.time || 0)
+		 : (allDay ? 1 : 0));
+	for (const rd of occurrenceDates(ev,end + 1)) {
+	    if (ev.exdates.has(rd)) {
+		continue;
+	    }
+	    let first = rd;
+	    let last = rd + Math.max(Math.ceil(length),1) - 1;
+	    let time = null;
+	    if (!allDay) {
+		const tee = zonedFromUniversal(universalFromZoned(rd + ev.start.time,evZone),zone);
+		first = Math.floor(tee);
+		last = Math.max(first,Math.ceil(tee + length) - 1);
+		time = tee - first;
+	    }
+	    for (let d = Math.max(first,start); d <= last && d < end; d++) {
+		days.push({rd: d, summary: ev.summary, allDay: allDay,
+			   time: d === first ? time : null});
+	    }
+	}
+    }
+    return days.sort((a,b) => a.rd - b.rd || (a.time ?? -1) - (b.time ?? -1));
+}
+
+/** Return text escaped for a TEXT property value. */
+const escapeText = function(s) {
+    return String(s).replace(/[\\;,]/g,c => `\\${c}`).replace(/\r?\n/g,"\\n");
+}
+
+/**
+ * Return content line folded to lines of at most 75 octets,
+ * not splitting characters.
+ */
+const foldLine = function(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = "";
+    for (const c of line) {
+	const limit = lines.length ? 74 : 75;
+	if (encoder.encode(current + c).length > limit) {
+	    lines.push(current);
+	    current = c;
+	} else {
+	    current += c;
+	}
+    }
+    lines.push(current);
+    return lines.join("\r\n ");
+}
+
+/** Return DATE value of R.D. */
+const dateValue = function(rd) {
+    const {year,month,day} = gregorianFromFixed(rd);
+    return `${String(year).padStart(4,"0")}${String(month).padStart(2,"0")}${String(day).padStart(2,"0")}`;
+}
+
+/** Return UTC DATE-TIME value of universal moment, to the second. */
+const dateTimeValue = function(tee) {
+    const s = Math.round(timeFromMoment(tee)*24*60*60);
+    const rd = Math.floor(tee) + Math.floor(s/(24*60*60));
+    const t = s % (24*60*60);
+    return `${dateValue(rd)}T${String(Math.floor(t/3600)).padStart(2,"0")}`
+	+ `${String(Math.floor(t/60)%60).padStart(2,"0")}${String(t%60).padStart(2,"0")}Z`;
+}
+
+/**
+ * Return iCalendar text of events. Each event has a uid, a summary
+ * and either start, a universal moment, or date, an R.D. for an
+ * all-day event. A timed event may have an end moment.
+ */
+const formatICalendar = function(events) {
+    const stamp = dateTimeValue(momentFromUnix(Date.now()/1000));
+    const lines = ["BEGIN:VCALENDAR",
+		   "VERSION:2.0",
+		   "PRODID:-//calendar-mod//EN",
+		   "CALSCALE:GREGORIAN"];
+    for (const e of events) {
+	lines.push("BEGIN:VEVENT",
+		   `UID:${e.uid}`,
+		   `DTSTAMP:${stamp}`);
+	if (e.start !== undefined) {
+	    lines.push(`DTSTART:${dateTimeValue(e.start)}`);
+	    if (e.end !== undefined) {
+		lines.push(`DTEND:${dateTimeValue(e.end)}`);
+	    }
+	} else {
+	    lines.push(`DTSTART;VALUE=DATE:${dateValue(e.date)}`,
+		       `DTEND;VALUE=DATE:${dateValue(e.date + 1)}`,
+		       "TRANSP:TRANSPARENT");
+	}
+	lines.push(`SUMMARY:${escapeText(e.summary)}`,
+		   "END:VEVENT");
+    }
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+export {
+    parseICalendar,
+    eventsBetween,
+    formatICalendar,
+}
@@ -0,0 +1,93 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Imposition schemes: where each page goes on the printed sheets so
+ * that they fold (and for booklets, stack) into reading order. A
+ * scheme has a grid of rows and cols per side and, for each side of
+ * a sheet, slots [page, row, col, turned], page counted from 1 and
+ * turned for a page upside down. Backs are for duplex printing
+ * flipped on the short edge of the landscape sheet. A nested scheme
+ * is one sheet of a saddle-stitched booklet: sheets fold the same
+ * way and nest one inside the other, so a sheet holds pages from the
+ * front and the back of the book.
+ */
+
+/** Imposition schemes by name */
+const IMPOSITIONS = {
+    /** one side, cut down the middle and folded into 8 pages */
+    pocketmod: {
+	rows: 2, cols: 4, pages: 8, nested: false,
+	sides: [[[7,0,0,true],[6,0,1,true],[5,0,2,true],[4,0,3,true],
+		 [8,1,0,false],[1,1,1,false],[2,1,2,false],[3,1,3,false]]],
+    },
+    /** both sides, folded three times into a booklet of 16 pages */
+    booklet16: {
+	rows: 2, cols: 4, pages: 16, nested: false,
+	sides: [[[5,0,0,true],[12,0,1,true],[9,0,2,true],[8,0,3,true],
+		 [4,1,0,false],[13,1,1,false],[16,1,2,false],[1,1,3,false]],
+		[[7,0,0,true],[10,0,1,true],[11,0,2,true],[6,0,3,true],
+		 [2,1,0,false],[15,1,1,false],[14,1,2,false],[3,1,3,false]]],
+    },
+    /** both sides, folded once: an A5 booklet from A4, half-letter from letter */
+    fold: {
+	rows: 1, cols: 2, pages: 4, nested: true,
+	sides: [[[4,0,0,false],[1,0,1,false]],
+		[[2,0,0,false],[3,0,1,false]]],
+    },
+    /** both sides, folded twice into a signature of 8 pages */
+    signature: {
+	rows: 2, cols: 2, pages: 8, nested: true,
+	sides: [[[5,0,0,true],[4,0,1,true],[8,1,0,false],[1,1,1,false]],
+		[[3,0,0,true],[6,0,1,true],[2,1,0,false],[7,1,1,false]]],
+    },
+};
+
+/**
+ * Return number of pages of book of at least count pages
+ * imposed by scheme.
+ */
+const imposedPageCount = function(scheme,count) {
+    return scheme.nested ? Math.max(1,Math.ceil(count/scheme.pages))*scheme.pages
+	: scheme.pages;
+}
+
+/**
+ * Return sides of the sheets of book of count pages imposed by
+ * scheme, in print order (front and back of each sheet in turn).
+ * A side is {rows, cols, slots}, each slot {page, row, col, turned}
+ * with page counted from 0, or null for a blank page.
+ */
+const impose = function(scheme,count) {
+    const total = imposedPageCount(scheme,count);
+    const half = scheme.pages/2;
+    const sides = [];
+    for (let sheet = 0; sheet < total/scheme.pages; sheet++) {
+	/** page k of the sheet in the book; second half from the back */
+	const bookPage = k => !scheme.nested ? k
+	      : k <= half ? sheet*half + k
+	      : total - sheet*half - (scheme.pages - k);
+	for (const side of scheme.sides) {
+	    sides.push({
+		rows: scheme.rows, cols: scheme.cols,
+		slots: side.map(([k,row,col,turned]) => {
+		    const page = bookPage(k) - 1;
+		    return {page: page < count ? page : null, row: row, col: col, turned: turned};
+		}),
+	    });
+	}
+    }
+    return sides;
+}
+
+export {
+    IMPOSITIONS,
+    imposedPageCount,
+    impose,
+}
@@ -0,0 +1,62 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Principal feasts and movable days of the Christian year, as rules
+ * for the holiday engine in holidays.js. The Western calendar keys
+ * on Gregorian Easter; the Eastern (Orthodox) calendar keys on
+ * Orthodox Easter and keeps the fixed feasts on the Julian calendar.
+ */
+
+/** Liturgical rules by tradition */
+const LITURGICAL_CALENDARS = {
+    western: [
+	{label: "Epiphany", type: "fixed", month: 1, day: 6},
+	{label: "Ash Wednesday", type: "easter", offset: -46},
+	{label: "Palm Sunday", type: "easter", offset: -7},
+	{label: "Maundy Thursday", type: "easter", offset: -3},
+	{label: "Good Friday", type: "easter", offset: -2},
+	{label: "Easter", type: "easter", offset: 0},
+	{label: "Ascension", type: "easter", offset: 39},
+	{label: "Pentecost", type: "easter", offset: 49},
+	{label: "Trinity Sunday", type: "easter", offset: 56},
+	{label: "Corpus Christi", type: "easter", offset: 60},
+	{label: "All Saints", type: "fixed", month: 11, day: 1},
+	{label: "Advent I", type: "advent", offset: 0},
+	{label: "Advent II", type: "advent", offset: 7},
+	{label: "Advent III", type: "advent", offset: 14},
+	{label: "Advent IV", type: "advent", offset: 21},
+	{label: "Christmas", type: "fixed", month: 12, day: 25},
+    ],
+    eastern: [
+	{label: "Theophany", type: "julian", month: 1, day: 6},
+	{label: "Meeting of the Lord", type: "julian", month: 2, day: 2},
+	{label: "Clean Monday", type: "orthodox", offset: -48},
+	{label: "Annunciation", type: "julian", month: 3, day: 25},
+	{label: "Lazarus Saturday", type: "orthodox", offset: -8},
+	{label: "Palm Sunday", type: "orthodox", offset: -7},
+	{label: "Holy Thursday", type: "orthodox", offset: -3},
+	{label: "Holy Friday", type: "orthodox", offset: -2},
+	{label: "Pascha", type: "orthodox", offset: 0},
+	{label: "Thomas Sunday", type: "orthodox", offset: 7},
+	{label: "Ascension", type: "orthodox", offset: 39},
+	{label: "Pentecost", type: "orthodox", offset: 49},
+	{label: "Transfiguration", type: "julian", month: 8, day: 6},
+	{label: "Dormition", type: "julian", month: 8, day: 15},
+	{label: "Nativity of Theotokos", type: "julian", month: 9, day: 8},
+	{label: "Exaltation of the Cross", type: "julian", month: 9, day: 14},
+	{label: "Nativity Fast begins", type: "julian", month: 11, day: 15},
+	{label: "Entry of Theotokos", type: "julian", month: 11, day: 21},
+	{label: "Nativity", type: "julian", month: 12, day: 25},
+    ],
+};
+
+export {
+    LITURGICAL_CALENDARS,
+}
@@ -0,0 +1,133 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Weekday names and numbers in the calendar's locale, from Intl.
+ * Formats are made once per locale and cached.
+ */
+
+/** Weekday names by locale and width */
+const weekdayLists = new Map();
+
+/** Number formats by locale and numbering system */
+const numberFormats = new Map();
+
+/**
+ * Return locale, or fallback if it is not a valid language tag.
+ */
+const validLocale = function(locale,fallback) {
+    try {
+	return Intl.getCanonicalLocales(locale || [])[0] || fallback;
+    } catch (e) {
+	return fallback;
+    }
+}
+
+/**
+ * Return numerals if they are native or a numbering system that
+ * numbers of locale can be formatted in, such as arab or deva, or
+ * else null for Latin digits.
+ */
+const validNumerals = function(numerals,locale) {
+    if (numerals === "native") {
+	return numerals;
+    }
+    try {
+	const format = new Intl.NumberFormat(new Intl.Locale(locale,{numberingSystem: numerals}));
+	return format.resolvedOptions().numberingSystem === numerals ? numerals : null;
+    } catch (e) {
+	return null;
+    }
+}
+
+/**
+ * Return names of weekdays from Sunday in locale.
+ * @param width narrow, short or long
+ */
+const weekdayNames = function(locale,width) {
+    const key = `${locale} ${width}`;
+    if (!weekdayLists.has(key)) {
+	const format = new Intl.DateTimeFormat(locale,{weekday: width, timeZone: "UTC"});
+	/** 2024-01-07 was a Sunday */
+	weekdayLists.set(key,[0,1,2,3,4,5,6].map(i => format.format(Date.UTC(2024,0,7+i))));
+    }
+    return weekdayLists.get(key);
+}
+
+/**
+ * Return name of weekday (0 for Sunday) per options locale and
+ * weekdayWidth (default short).
+ */
+const weekdayName = function(weekday,options) {
+    return weekdayNames(options.locale,options.weekdayWidth || "short")[weekday];
+}
+
+/**
+ * Return integer n in digits of options numerals: a numbering
+ * system such as arab or deva (see validNumerals), native for that
+ * of options locale, or none for Latin digits.
+ */
+const formatNumber = function(n,options) {
+    if (!options.numerals) {
+	return String(n);
+    }
+    const key = `${options.locale} ${options.numerals}`;
+    if (!numberFormats.has(key)) {
+	const locale = options.numerals === "native" ? options.locale
+	      : new Intl.Locale(options.locale,{numberingSystem: options.numerals}).toString();
+	numberFormats.set(key,new Intl.NumberFormat(locale,{useGrouping: false}));
+    }
+    return numberFormats.get(key).format(n);
+}
+
+/**
+ * Return text direction of locale, rtl or ltr, from Intl where the
+ * runtime has it, or else from the language.
+ */
+const textDirection = function(locale) {
+    try {
+	const intlLocale = new Intl.Locale(locale);
+	const textInfo = intlLocale.getTextInfo ? intlLocale.getTextInfo() : intlLocale.textInfo;
+	if (textInfo) {
+	    return textInfo.direction;
+	}
+    } catch (e) {
+	/** fall back on the language */
+    }
+    return /^(ar|he|iw|fa|ur|yi|ps|dv|ckb|sd|ug)\b/i.test(locale) ? "rtl" : "ltr";
+}
+
+/**
+ * Return week of locale as {firstDay, weekend}, weekdays 0 for
+ * Sunday to 6 for Saturday, from Intl where the runtime has it, or
+ * else weeks from Sunday with Saturday and Sunday the weekend.
+ */
+const weekInfo = function(locale) {
+    try {
+	const intlLocale = new Intl.Locale(locale);
+	const info = intlLocale.getWeekInfo ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+	if (info) {
+	    /** Intl counts 1 for Monday to 7 for Sunday */
+	    return {firstDay: info.firstDay % 7, weekend: info.weekend.map(d => d % 7)};
+	}
+    } catch (e) {
+	/** fall back on the default */
+    }
+    return {firstDay: 0, weekend: [0,6]};
+}
+
+export {
+    validLocale,
+    validNumerals,
+    textDirection,
+    weekInfo,
+    weekdayNames,
+    weekdayName,
+    formatNumber,
+}
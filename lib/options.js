@@ -0,0 +1,151 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Calendar options from URL query parameters. The result holds the
+ * options of buildYearModel, those of the renderer, and the names of
+ * files the caller is to read (solarConfig, ics).
+ */
+
+import {mod3} from './calendrica/general.js';
+import {SEASONS,CROSS_QUARTERS,solarTerms,solarTermNames,parseSolarEvents} from './solar-events.js';
+import {IMPOSITIONS} from './imposition.js';
+import {validLocale,validNumerals,textDirection,weekInfo} from './locale.js';
+import {PRAYER_METHODS,ASR_FACTORS,HIGH_LATITUDE_RULES} from './prayer-times.js';
+
+/** Weekday abbreviations in options, from Sunday */
+const WEEKDAY_CODES = ["su","mo","tu","we","th","fr","sa"];
+
+/**
+ * Return weekday (0 for Sunday) of number 0 to 6 or name
+ * such as mon or Monday, or null if neither.
+ */
+const parseWeekday = function(s) {
+    const n = /^\d$/.test(s) ? parseInt(s) : WEEKDAY_CODES.indexOf(s.trim().slice(0,2).toLowerCase());
+    return n >= 0 && n <= 6 ? n : null;
+}
+
+/** Solar depression angles of named twilights */
+const TWILIGHT_ANGLES = {civil: 6, nautical: 12, astronomical: 18};
+
+/**
+ * Return longitude in degrees of s, taken into -180 to 180 if
+ * beyond, e.g. 370 to 10.
+ */
+const parseLongitude = function(s) {
+    const lon = parseFloat(s);
+    return lon >= -180 && lon <= 180 ? lon : mod3(lon,-180,180);
+}
+
+/**
+ * Return options from URLSearchParams.
+ * @param params the query parameters
+ * @param userLocale the user's locale, e.g. "en-US", the default of locale
+ */
+const parseOptions = function(params,userLocale) {
+
+    /** Locale of names and numbers */
+    const locale = validLocale(params.get("locale"),userLocale);
+
+    /** Observer location from lat, lon and elev, or null */
+    const location = params.has("lat") && params.has("lon") ?
+	  {latitude: parseFloat(params.get("lat")),
+	   longitude: parseLongitude(params.get("lon")),
+	   elevation: parseFloat(params.get("elev")) || 0}
+	  : null;
+
+    /** Week of the locale, for default week start and weekend */
+    const week = weekInfo(locale);
+
+    /** Chinese solar terms, labelled per solartermnames or the locale */
+    const solarTermTable = params.has("solarterms") ?
+	  solarTerms(params.get("solarterms"),
+		     params.get("solartermnames") || solarTermNames(locale))
+	  : [];
+
+    /** First month of the calendar, yyyy-mm or mm */
+    const start = (params.get("start") || "").match(/^(?:(\d{4})-)?(\d{1,2})$/);
+
+    return {
+	year: start && start[1] ? parseInt(start[1])
+	    : parseInt(params.get("year")) || (new Date()).getUTCFullYear(),
+	startMonth: start ? parseInt(start[2]) : 1,
+	locale: locale,
+	weekdayWidth: ["narrow","short","long"].includes(params.get("weekdays")) ?
+	    params.get("weekdays") : "short",
+	numerals: params.has("numerals") ? validNumerals(params.get("numerals"),locale) : null,
+
+	/** first day of week and weekend days, 0 for Sunday */
+	weekStart: parseWeekday(params.get("weekstart") || "") ?? week.firstDay,
+	weekend: params.has("weekend") ?
+	    params.get("weekend").split(",").map(parseWeekday).filter(d => d !== null)
+	    : week.weekend,
+
+	/** rtl or ltr, default that of the locale */
+	direction: ["rtl","ltr"].includes(params.get("dir")) ? params.get("dir") : textDirection(locale),
+	zone: params.get("tz") ?? params.get("zone"),
+	location: location,
+	moonTimes: location !== null && params.has("moontimes"),
+	twilight: location === null || !params.has("twilight") ? null
+	    : TWILIGHT_ANGLES[params.get("twilight")]
+	    || parseFloat(params.get("twilight")) || null,
+	twilightWeekly: params.has("twilightweekly"),
+
+	/**
+	 * Islamic prayer times by method, Asr school and high-latitude
+	 * rule, daily or weekly
+	 */
+	prayer: location === null || !params.has("prayer") ? null : {
+	    method: PRAYER_METHODS[params.get("prayer")] ? params.get("prayer") : "mwl",
+	    asr: ASR_FACTORS[params.get("asr")] ? params.get("asr") : "shafii",
+	    highLatitude: HIGH_LATITUDE_RULES[params.get("highlat")] ? params.get("highlat") : "angle",
+	},
+	prayerWeekly: params.has("prayerweekly"),
+
+	/** ISO week numbers, and day of year and days left in it */
+	weekNumbers: params.has("weeknumbers"),
+	dayCount: params.has("daycount"),
+
+	/**
+	 * Solar events: solstices and equinoxes, cross-quarter days,
+	 * solar terms, which replace a season or cross-quarter day at
+	 * the same longitude, and events listed as longitude:symbol:label.
+	 */
+	solarEvents: [
+	    ...[...SEASONS,
+		...(params.has("crossquarter") ? CROSS_QUARTERS : [])]
+		.filter(e => !solarTermTable.some(t => t.longitude === e.longitude)),
+	    ...solarTermTable,
+	    ...parseSolarEvents(params.get("solar"))],
+	solarConfig: params.get("solarconfig"),
+	holidays: params.get("holidays") || "",
+	liturgical: params.get("liturgical") || "",
+	hebrew: params.has("hebrew"),
+	hijri: !params.has("hijri") ? null
+	    : params.get("hijri") === "observational" ? "observational" : "tabular",
+	ics: params.get("ics"),
+	eventChars: parseInt(params.get("eventchars")) || 14,
+
+	/** imposition scheme: pocketmod, booklet16, fold or signature */
+	imposition: IMPOSITIONS[params.get("imposition")] ? params.get("imposition") : "pocketmod",
+
+	/** pocketmod, or grid for month grids, all on one sheet with poster */
+	layout: params.get("layout") === "grid" ? "grid" : "pocketmod",
+	poster: params.has("poster"),
+
+	/** html, or svg to draw the sheet in mm on paper letter or a4 */
+	render: params.get("render") === "svg" ? "svg" : "html",
+	paper: (params.get("paper") || (/-(US|CA)\b/i.test(locale) ? "letter" : "a4")).toLowerCase(),
+    };
+}
+
+export {
+    TWILIGHT_ANGLES,
+    parseOptions,
+}
@@ -0,0 +1,297 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Pocketmod layout of a year model (see year-model.js): 8 pages of
+ * one and a half months each, and the HTML of their cells.
+ */
+
+import {timeFromMoment} from './calendrica/general.js';
+import {IMPOSITIONS,impose} from './imposition.js';
+import {weekdayName,formatNumber} from './locale.js';
+import {PRAYERS} from './prayer-times.js';
+
+/** Lunar phase symbols by angle
+ * new: unicode &#x1f311; , astrosym.40.svg
+ * 1st: unicode &#x1f313; , astrosym.45.svg
+ * full: unicode &#x1f315; , astrosym.39.svg
+ * last: unicode &#x1f317; , astrosym.44.svg
+ */
+const LUNAR_PHASE_SYMBOLS = {0: "&#x1f311;", 90: "&#x1f313;", 180: "&#x1f315;", 270: "&#x1f317;"};
+
+/**
+ * Return 8 pages of model, each a list of two month parts
+ * {year, month, days, full}: one full month and half of the next.
+ * Every three months fill two pages.
+ */
+const pocketmodPages = function(model) {
+    const part = (m,days,full) => ({year: m.year, month: m.month, days: days, full: full});
+    const pages = [];
+    for (let i = 0; i < model.months.length; i += 3) {
+	const [m1,m2,m3] = model.months.slice(i,i+3);
+	pages.push([part(m1,m1.days,true),part(m2,m2.days.slice(0,15),false)],
+		   [part(m2,m2.days.slice(15),false),part(m3,m3.days,true)]);
+    }
+    return pages;
+}
+
+/**
+ * Return place {row, col, turned} on the sheet of page i,
+ * counted from 0, by the pocketmod imposition.
+ */
+const pagePlace = function(i) {
+    return impose(IMPOSITIONS.pocketmod,8)[0].slots.find(s => s.page === i);
+}
+
+/**
+ * Return month name.
+ * @param sh boolean to make short name
+ */
+const monthName = function(year,month,sh,locale) {
+    const date = new Date(0);
+    date.setUTCFullYear(year,month-1,1);
+    return date.toLocaleDateString(locale,{month: sh?"short":"long",timeZone: "UTC"});
+}
+
+/**
+ * Return time of day of moment as compact H:MM, rounded to the
+ * minute, or a dash if there is no such moment (e.g. polar night).
+ * @param tee the moment, or null
+ */
+const timeOfDay = function(tee) {
+    if (tee === null) {
+	return "&ndash;";
+    }
+    const m = Math.round(timeFromMoment(tee)*24*60) % (24*60);
+    return `${Math.floor(m/60)}:${String(m%60).padStart(2,"0")}`;
+}
+
+/**
+ * Return local time of day of model time, or a dash for none.
+ */
+const localTime = function(time) {
+    return timeOfDay(time && time.local);
+}
+
+/**
+ * Return text with HTML special characters escaped.
+ */
+const escapeHtml = function(s) {
+    return String(s).replace(/[&<>"']/g,c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Return text cut to n characters, ending in an ellipsis if cut.
+ */
+const truncate = function(s,n) {
+    const chars = Array.from(s);
+    return chars.length > n ? chars.slice(0,n-1).join("") + "…" : s;
+}
+
+/**
+ * Return span with time of day of model time.
+ */
+const eventTime = function(time) {
+    return `<span class="event-time">${localTime(time)}</span>`;
+}
+
+/**
+ * Return cells of month part: the month/year header, the days
+ * and a blank at position 15 of a full month. A cell is
+ * {header, full}, {blank} or {day}.
+ * @param i the position of the part on its page, 0 for column 1
+ * @param options locale and numerals
+ */
+const monthCells = function(part,i,options) {
+    const col1 = i%2===0;
+    const year = formatNumber(part.year,options);
+    let mHdr = monthName(part.year,part.month,!part.full,options.locale);
+    if (part.full) {
+	if (col1) {
+	    mHdr += `<span class="year">${year}</span>`;
+	} else {
+	    mHdr = `<span class="year">${year}</span>${mHdr}`;
+	}
+    }
+    const days = part.days.map(d => ({day: d}));
+    const header = {header: mHdr, full: part.full};
+    return part.full ? [header,...days.slice(0,15),{blank: true},...days.slice(15)]
+	: [header,...days];
+}
+
+/**
+ * Return class names of cell, or null for none.
+ */
+const cellClass = function(cell) {
+    if (cell.header !== undefined) {
+	return cell.full ? "month-header2" : "month-header1";
+    }
+    if (cell.day) {
+	return ["day",
+		...(cell.day.weekend ? ["weekend"] : []),
+		...(cell.day.firstOfWeek ? ["week-start"] : []),
+		...(cell.day.holiday ? ["holiday"] : [])].join(" ");
+    }
+    return null;
+}
+
+/**
+ * Turn day model into d Wd format plus holidays, Hebrew and Hijri
+ * dates, events, lunar phase, solar events and rise and set times,
+ * if applicable.
+ * Options are eventChars, the characters of event summary shown;
+ * twilightWeekly to show twilight only on the first day of each
+ * week; prayerWeekly to show prayer times only on the first day of
+ * each week; prayerTimes, false to leave them out; weekNumbers for
+ * the ISO week on the first day of each week; dayCount for the day
+ * of the year and the days left; weekdays, false to leave out the
+ * weekday; and those of weekdayName and formatNumber.
+ */
+const dayHtml = function(d,options) {
+    let str = formatNumber(d.day,options);
+    if (options.weekdays !== false) {
+	str += ` ${weekdayName(d.weekday,options)}`;
+    }
+
+    /** ISO week number and day of year / days remaining */
+    if (options.weekNumbers && d.isoWeek) {
+	str += ` <span class="week-number" title="ISO week ${d.isoWeek.year}-W${d.isoWeek.week}">`
+	    + `W${formatNumber(d.isoWeek.week,options)}</span>`;
+    }
+    if (options.dayCount) {
+	str += ` <span class="day-count" title="Day ${d.dayOfYear}, ${d.daysRemaining} left">`
+	    + `${formatNumber(d.dayOfYear,options)}/${formatNumber(d.daysRemaining,options)}</span>`;
+    }
+
+    /** holidays, marked (obs.) where kept in place of a weekend day */
+    for (const h of d.holidays) {
+	str += ` <span class="holiday-label">${escapeHtml(h.label)}${h.observed ? " (obs.)" : ""}</span>`;
+    }
+
+    /** liturgical feasts */
+    for (const f of d.feasts) {
+	str += ` <span class="feast">${escapeHtml(f.label)}</span>`;
+    }
+
+    /** Hebrew date, in bold on Rosh Chodesh, and Hebrew holidays */
+    if (d.hebrew) {
+	str += ` <span class="hebrew-date${d.hebrew.roshChodesh ? " rosh-chodesh" : ""}"`
+	    + `${d.hebrew.roshChodesh ? ` title="Rosh Chodesh"` : ""}>`
+	    + `${formatNumber(d.hebrew.day,options)} ${escapeHtml(d.hebrew.monthName)}</span>`;
+	for (const h of d.hebrew.holidays) {
+	    str += ` <span class="hebrew-holiday">${escapeHtml(h.label)}</span>`;
+	}
+    }
+
+    /** Hijri date, and Ramadan and the Eids */
+    if (d.hijri) {
+	str += ` <span class="hijri-date">${formatNumber(d.hijri.day,options)} ${escapeHtml(d.hijri.monthName)}</span>`;
+	for (const h of d.hijri.holidays) {
+	    str += ` <span class="hijri-holiday">${escapeHtml(h.label)}</span>`;
+	}
+    }
+
+    /**
+     * personal events: the first, cut to fit, and a count
+     * of the others; all of them in the tooltip
+     */
+    if (d.events.length) {
+	str += ` <span class="event" title="${escapeHtml(d.events.map(e => e.summary).join("\n"))}">`
+	    + `${escapeHtml(truncate(d.events[0].summary,options.eventChars || 14))}</span>`;
+	if (d.events.length > 1) {
+	    str += `<span class="more-events">+${d.events.length-1}</span>`;
+	}
+    }
+
+    /** lunar phase */
+    if (d.lunarPhase) {
+	str += ` <span class="lunar-phase">${LUNAR_PHASE_SYMBOLS[d.lunarPhase.angle]}</span>`
+	    + eventTime(d.lunarPhase.time);
+    }
+
+    /** solar events, shown by symbol or by label if no symbol */
+    for (const e of d.solarEvents) {
+	str += ` <span class="${escapeHtml(e.cls)}" title="${escapeHtml(e.label)}">`
+	    + `${escapeHtml(e.symbol || e.label)}</span>${eventTime(e.time)}`;
+    }
+
+    /** sunrise and sunset */
+    if (d.sun) {
+	str += ` <span class="sun-times">&#x2191;${localTime(d.sun.rise)}`
+	    + ` &#x2193;${localTime(d.sun.set)}</span>`;
+    }
+
+    /** moonrise and moonset, dash if the moon does not rise or set */
+    if (d.moon) {
+	str += ` <span class="moon-times">&#x263e;&#x2191;${localTime(d.moon.rise)}`
+	    + ` &#x2193;${localTime(d.moon.set)}</span>`;
+    }
+
+    /** dawn and dusk */
+    if (d.twilight && (!options.twilightWeekly || d.firstOfWeek)) {
+	str += ` <span class="twilight-times">&#x2191;${localTime(d.twilight.dawn)}`
+	    + ` &#x2193;${localTime(d.twilight.dusk)}</span>`;
+    }
+
+    /** prayer times, by initial */
+    if (d.prayer && options.prayerTimes !== false && (!options.prayerWeekly || d.firstOfWeek)) {
+	str += ` <span class="prayer-times">`
+	    + PRAYERS.map(p => `<span title="${p.name}">${p.initial}&#x2009;${localTime(d.prayer[p.key])}</span>`)
+	    .join(" ")
+	    + "</span>";
+    }
+    return str;
+}
+
+/**
+ * Return HTML of cell.
+ */
+const cellHtml = function(cell,options) {
+    if (cell.header !== undefined) {
+	return cell.header;
+    }
+    return cell.day ? dayHtml(cell.day,options) : "";
+}
+
+/**
+ * Return HTML of the pages of model, as built into #pocketmod by
+ * the calendar page, for a static file. Options are those of
+ * dayHtml and locale.
+ */
+const pocketmodHtml = function(model,options) {
+    const cellDiv = function(cell) {
+	const cls = cellClass(cell);
+	return `<div${cls ? ` class="${cls}"` : ""}>${cellHtml(cell,options)}</div>`;
+    }
+    return pocketmodPages(model).map(
+	(page,p) => `<div class="page${p+1} ${p%2===0 ? "odd-page" : "even-page"}`
+	    + `${pagePlace(p).turned ? " turned" : ""}" `
+	    + `style="grid-area: ${pagePlace(p).row+1} / ${pagePlace(p).col+1}">`
+	    + page.map((part,i) => `<div class="month${part.full?2:1}">`
+		       + monthCells(part,i,options).map(cellDiv).join("")
+		       + "</div>").join("")
+	    + "</div>")
+	.join("\n");
+}
+
+export {
+    LUNAR_PHASE_SYMBOLS,
+    pocketmodPages,
+    pagePlace,
+    monthName,
+    timeOfDay,
+    localTime,
+    escapeHtml,
+    truncate,
+    monthCells,
+    cellClass,
+    dayHtml,
+    cellHtml,
+    pocketmodHtml,
+}
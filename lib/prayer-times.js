@@ -0,0 +1,115 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Islamic prayer times from the sun: Fajr and Isha at a depression
+ * angle of the sun set by the calculation method, Dhuhr at midday,
+ * Asr when an object's shadow is its noon shadow plus once (Shafi'i)
+ * or twice (Hanafi) its length, and Maghrib at sunset.
+ */
+
+import {arctanDegrees,tanDegrees,hr,mod3,angle} from './calendrica/general.js';
+import {standardFromUniversal,midday,declination,solarLongitude,refraction} from './calendrica/astronomy.js';
+import {islamicFromFixed} from './calendrica/islamic.js';
+import {dawnAt,duskAt} from './depression.js';
+
+/**
+ * Calculation methods: depression angles of Fajr and Isha, or
+ * minutes of Isha after Maghrib (longer in Ramadan).
+ */
+const PRAYER_METHODS = {
+    mwl: {label: "Muslim World League", fajr: 18, isha: 17},
+    isna: {label: "Islamic Society of North America", fajr: 15, isha: 15},
+    ummalqura: {label: "Umm al-Qura", fajr: 18.5, ishaMinutes: 90, ramadanIshaMinutes: 120},
+    egyptian: {label: "Egyptian General Authority of Survey", fajr: 19.5, isha: 17.5},
+};
+
+/** Shadow factors of Asr by school */
+const ASR_FACTORS = {shafii: 1, hanafi: 2};
+
+/**
+ * High-latitude rules: the most of the night, from sunset to the
+ * next sunrise, that may lie between sunrise and Fajr or between
+ * Maghrib and Isha, given the night and the depression angle.
+ */
+const HIGH_LATITUDE_RULES = {
+    angle: (night,alpha) => night*alpha/60,
+    middle: night => night/2,
+    seventh: night => night/7,
+};
+
+/** Prayers in order of the day, with initials for day cells */
+const PRAYERS = [
+    {key: "fajr", name: "Fajr", initial: "F"},
+    {key: "dhuhr", name: "Dhuhr", initial: "D"},
+    {key: "asr", name: "Asr", initial: "A"},
+    {key: "maghrib", name: "Maghrib", initial: "M"},
+    {key: "isha", name: "Isha", initial: "I"},
+];
+
+/**
+ * Return prayer times {fajr, dhuhr, asr, maghrib, isha} on fixed
+ * date at location by convention {method, asr, highLatitude}
+ * (default mwl, shafii and angle), each the standard time at
+ * location or null if there is none that day. Where the sun does
+ * not sink to the angle of Fajr or Isha, or they would fall further
+ * into the night than the high-latitude rule allows, they are put
+ * at that limit, as long as the sun rises and sets. Times whose
+ * search does not settle, as near the poles, are null.
+ */
+const prayerTimes = function(date,location,convention = {}) {
+    const method = PRAYER_METHODS[convention.method] || PRAYER_METHODS.mwl;
+    const factor = ASR_FACTORS[convention.asr] || ASR_FACTORS.shafii;
+    const noon = midday(date,location);
+    /** declination of the sun at noon, from -90 to 90 degrees */
+    const delta = mod3(declination(noon,0,solarLongitude(noon)),-180,180);
+    /** altitude of the sun when the shadow is factor plus noon shadow */
+    const altitude = arctanDegrees(1,factor + tanDegrees(Math.abs(location.latitude - delta)));
+    /** depression of the sun's center at sunrise and sunset */
+    const horizon = refraction(location) + angle(0,16,0);
+    const maghrib = duskAt(date,location,horizon);
+    const rise = dawnAt(date,location,horizon);
+    const ishaMinutes = islamicFromFixed(date).month === 9 && method.ramadanIshaMinutes
+	  || method.ishaMinutes;
+    let fajr = dawnAt(date,location,method.fajr);
+    let isha = !ishaMinutes ? duskAt(date,location,method.isha)
+	: maghrib === null ? null : maghrib + hr(ishaMinutes/60);
+
+    /** high-latitude rule, by the night from sunset to sunrise */
+    const nextRise = dawnAt(date + 1,location,horizon);
+    if (maghrib !== null && nextRise !== null && rise !== null) {
+	const limit = HIGH_LATITUDE_RULES[convention.highLatitude] || HIGH_LATITUDE_RULES.angle;
+	const night = nextRise - maghrib;
+	const fajrLimit = limit(night,method.fajr);
+	if (fajr === null || rise - fajr > fajrLimit) {
+	    fajr = rise - fajrLimit;
+	}
+	if (!ishaMinutes) {
+	    const ishaLimit = limit(night,method.isha);
+	    if (isha === null || isha - maghrib > ishaLimit) {
+		isha = maghrib + ishaLimit;
+	    }
+	}
+    }
+    return {
+	fajr: fajr,
+	dhuhr: standardFromUniversal(noon,location),
+	asr: duskAt(date,location,-altitude),
+	maghrib: maghrib,
+	isha: isha,
+    };
+}
+
+export {
+    PRAYER_METHODS,
+    ASR_FACTORS,
+    HIGH_LATITUDE_RULES,
+    PRAYERS,
+    prayerTimes,
+}
@@ -0,0 +1,216 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * The pocketmod of a year model drawn as one SVG sheet in
+ * millimeters, for output that prints the same everywhere. Pages
+ * are placed and turned by the pocketmod imposition, and laid out like
+ * the HTML: a full month of two columns and half a month of one,
+ * 17 rows each. For right-to-left locales the sheet is mirrored, as
+ * the HTML is by its direction, so it folds into a booklet that
+ * opens from the other side.
+ */
+
+import {weekdayName,formatNumber} from './locale.js';
+import {PRAYERS} from './prayer-times.js';
+import {LUNAR_PHASE_SYMBOLS,pocketmodPages,pagePlace,monthCells,monthName,timeOfDay,escapeHtml,truncate} from './pocketmod.js';
+
+/** Landscape sheet sizes, width and height in mm */
+const PAPER_SIZES = {letter: [279.4,215.9], a4: [297,210]};
+
+/** Sheet margin and gaps between pages, columns and months, in mm */
+const MARGIN = 4;
+const PAGE_GAP = 5;
+const MONTH_GAP = 2;
+const COLUMN_GAP = 1.5;
+
+/** Rows of a month column, the header and 16 days */
+const ROWS = 17;
+
+/** Font size of days and month headers, in mm (6.2pt) */
+const FONT_SIZE = 2.2;
+
+/** Return number rounded to hundredths of a mm, as attribute value */
+const mm = function(n) {
+    return String(Math.round(n*100)/100);
+}
+
+/**
+ * Return x of box of width w at x in span from 0 to width,
+ * mirrored for right-to-left options direction.
+ */
+const across = function(x,w,width,options) {
+    return options.direction === "rtl" ? width - x - w : x;
+}
+
+/** Return local time of model time as H:MM, or a dash */
+const clock = function(time) {
+    return time ? timeOfDay(time.local) : "&#x2013;";
+}
+
+/**
+ * Return tspans of day model: date and weekday, week number and day
+ * count, holidays, feasts, Hebrew and Hijri dates and holidays,
+ * events, lunar phase and solar events.
+ */
+const dayText = function(d,options) {
+    const small = (s,attrs = "") => `<tspan font-size=".85em"${attrs}>${s}</tspan>`;
+    let str = `${formatNumber(d.day,options)} ${escapeHtml(weekdayName(d.weekday,options))}`;
+    if (options.weekNumbers && d.isoWeek) {
+	str += " " + small(`W${formatNumber(d.isoWeek.week,options)}`," font-weight=\"bold\"");
+    }
+    if (options.dayCount) {
+	str += " " + small(`${formatNumber(d.dayOfYear,options)}/${formatNumber(d.daysRemaining,options)}`," fill=\"#444\"");
+    }
+    for (const h of d.holidays) {
+	str += " " + small(escapeHtml(h.label) + (h.observed ? " (obs.)" : "")," font-style=\"italic\"");
+    }
+    for (const f of d.feasts) {
+	str += " " + small(escapeHtml(f.label)," font-variant=\"small-caps\"");
+    }
+    if (d.hebrew) {
+	str += " " + small(`${formatNumber(d.hebrew.day,options)} ${escapeHtml(d.hebrew.monthName)}`,
+			   d.hebrew.roshChodesh ? " font-weight=\"bold\"" : "");
+	for (const h of d.hebrew.holidays) {
+	    str += " " + small(escapeHtml(h.label)," font-style=\"italic\"");
+	}
+    }
+    if (d.hijri) {
+	str += " " + small(`${formatNumber(d.hijri.day,options)} ${escapeHtml(d.hijri.monthName)}`);
+	for (const h of d.hijri.holidays) {
+	    str += " " + small(escapeHtml(h.label)," font-style=\"italic\"");
+	}
+    }
+    if (d.events.length) {
+	str += " " + small(escapeHtml(truncate(d.events[0].summary,options.eventChars || 14)));
+	if (d.events.length > 1) {
+	    str += `<tspan font-size=".75em">+${d.events.length-1}</tspan>`;
+	}
+    }
+    if (d.lunarPhase) {
+	str += ` <tspan font-weight="bold">${LUNAR_PHASE_SYMBOLS[d.lunarPhase.angle]}</tspan>`
+	    + small(clock(d.lunarPhase.time));
+    }
+    for (const e of d.solarEvents) {
+	const term = /solar-term/.test(e.cls);
+	const bold = !term || /zhongqi/.test(e.cls);
+	str += ` <tspan${bold ? " font-weight=\"bold\"" : ""}${term ? " font-size=\".9em\"" : ""}>`
+	    + `${escapeHtml(e.symbol || e.label)}</tspan>` + small(clock(e.time));
+    }
+    return str;
+}
+
+/**
+ * Return tspans of the rise, set, twilight and prayer times of day
+ * model, to be set flush right: prayer, twilight, moon, sun.
+ */
+const dayTimes = function(d,options) {
+    const times = [];
+    if (d.prayer && (!options.prayerWeekly || d.firstOfWeek)) {
+	times.push(`<tspan fill="#444">${PRAYERS.map(p => `${p.initial}${clock(d.prayer[p.key])}`).join(" ")}</tspan>`);
+    }
+    if (d.twilight && (!options.twilightWeekly || d.firstOfWeek)) {
+	times.push(`<tspan font-style="italic" fill="#444">&#x2191;${clock(d.twilight.dawn)} &#x2193;${clock(d.twilight.dusk)}</tspan>`);
+    }
+    if (d.moon) {
+	times.push(`<tspan fill="#444">&#x263e;&#x2191;${clock(d.moon.rise)} &#x2193;${clock(d.moon.set)}</tspan>`);
+    }
+    if (d.sun) {
+	times.push(`<tspan>&#x2191;${clock(d.sun.rise)} &#x2193;${clock(d.sun.set)}</tspan>`);
+    }
+    return times.join(" ");
+}
+
+/**
+ * Return SVG of day cell at x, y of width w and height h, ruled
+ * above on the first day of a week. Rise and set times go on a
+ * second line, flush to the end, as a narrow column has no room for
+ * them beside the rest.
+ */
+const daySvg = function(d,x,y,w,h,options) {
+    let str = "";
+    if (d.weekend || d.holiday) {
+	str += `<rect x="${mm(x)}" y="${mm(y)}" width="${mm(w)}" height="${mm(h)}" fill="${d.holiday ? "#c0c0c0" : "#d8d8d8"}"/>`;
+    }
+    str += `<line x1="${mm(x)}" y1="${mm(y+h)}" x2="${mm(x+w)}" y2="${mm(y+h)}" stroke="#888" stroke-width=".2"/>`;
+    if (d.firstOfWeek) {
+	str += `<line x1="${mm(x)}" y1="${mm(y)}" x2="${mm(x+w)}" y2="${mm(y)}" stroke="#000" stroke-width=".4"/>`;
+    }
+    const times = dayTimes(d,options);
+    const rtl = options.direction === "rtl";
+    str += `<text x="${mm(rtl ? x+w-.7 : x+.7)}" y="${mm(y + h*(times ? .45 : .68))}">${dayText(d,options)}</text>`;
+    if (times) {
+	str += `<text x="${mm(rtl ? x+.5 : x+w-.5)}" y="${mm(y + h*.88)}" text-anchor="end" font-size=".85em">${times}</text>`;
+    }
+    return str;
+}
+
+/**
+ * Return SVG of month part at x of width w and height h, with the
+ * year on the side of column 1 of a full month.
+ * @param id prefix of clip path ids
+ * @param i the position of the part on its page, 0 for column 1
+ */
+const monthSvg = function(part,i,x,w,h,id,options) {
+    const rowH = h/ROWS;
+    const locale = options.locale;
+    const name = escapeHtml(monthName(part.year,part.month,!part.full,locale).toLocaleUpperCase(locale));
+    const year = `<tspan font-weight="bold" font-size="1.5em">${formatNumber(part.year,options)}</tspan>`;
+    const header = !part.full ? name
+	  : (i%2===0 ? `${name}&#xa0;&#xa0;${year}` : `${year}&#xa0;&#xa0;${name}`);
+    let str = `<text x="${mm(x+w/2)}" y="${mm(rowH*.75)}" text-anchor="middle" font-weight="500">${header}</text>`
+	+ `<line x1="${mm(x)}" y1="${mm(rowH)}" x2="${mm(x+w)}" y2="${mm(rowH)}" stroke="#888" stroke-width=".2"/>`;
+    const columns = part.full ? 2 : 1;
+    const colW = (w - (columns-1)*COLUMN_GAP)/columns;
+    const cells = monthCells(part,i,options).slice(1);
+    for (let c = 0; c < columns; c++) {
+	const cx = x + across(c*(colW + COLUMN_GAP),colW,w,options);
+	str += `<clipPath id="${id}-${c}"><rect x="${mm(cx)}" y="${mm(rowH)}" width="${mm(colW)}" height="${mm(h-rowH)}"/></clipPath>`
+	    + `<g clip-path="url(#${id}-${c})">`;
+	cells.slice(c*(ROWS-1),(c+1)*(ROWS-1)).forEach((cell,r) => {
+	    if (cell.day) {
+		str += daySvg(cell.day,cx,(r+1)*rowH,colW,rowH,options);
+	    }
+	});
+	str += "</g>";
+    }
+    return str;
+}
+
+/**
+ * Return SVG of the pocketmod of model on one sheet, sized in mm.
+ * Options are those of dayHtml, locale and paper, "letter" or "a4".
+ */
+const pocketmodSvg = function(model,options) {
+    const [width,height] = PAPER_SIZES[options.paper] || PAPER_SIZES.letter;
+    const pageW = (width - 2*MARGIN - 3*PAGE_GAP)/4;
+    const pageH = (height - 2*MARGIN - PAGE_GAP)/2;
+    const unit = (pageW - MONTH_GAP)/3;
+    const pages = pocketmodPages(model).map((page,p) => {
+	const {row,col,turned} = pagePlace(p);
+	const x = MARGIN + across(col*(pageW + PAGE_GAP),pageW,width - 2*MARGIN,options);
+	const y = MARGIN + row*(pageH + PAGE_GAP);
+	/** full month 2 units wide, first on odd pages, last on even */
+	const widths = p%2===0 ? [2*unit,unit] : [unit,2*unit];
+	return `<g transform="translate(${mm(x)} ${mm(y)})${turned ? ` rotate(180 ${mm(pageW/2)} ${mm(pageH/2)})` : ""}">`
+	    + page.map((part,i) => monthSvg(part,i,across(i === 0 ? 0 : widths[0] + MONTH_GAP,widths[i],pageW,options),
+					      widths[i],pageH,`p${p+1}m${i+1}`,options)).join("")
+	    + "</g>";
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" `
+	+ `viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="${FONT_SIZE}"`
+	+ `${options.direction === "rtl" ? ` direction="rtl"` : ""}>\n`
+	+ pages.join("\n")
+	+ "\n</svg>\n";
+}
+
+export {
+    PAPER_SIZES,
+    pocketmodSvg,
+}
@@ -0,0 +1,170 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Tables of solar events: moments when the sun reaches a given
+ * solar longitude. An entry has the longitude in degrees, a symbol,
+ * a label and the class used to style it.
+ */
+
+import {solarLongitudeAfter} from './calendrica/astronomy.js';
+
+/**
+ * Solstices and equinoxes.
+ * Symbols from https://en.wikipedia.org/wiki/Astronomical_symbols
+ * (retrieved 2024-02-28).
+ * Aries March Equinox astrosym.11.svg
+ * Cancer June solstice astrosym.14.svg
+ * Libra September Equinox astrosym.17.svg
+ * Capricornus December solstice astrosysm.20.svg
+ */
+const SEASONS = [
+    {longitude: 0, symbol: "♈", label: "March equinox", cls: "equinox"},
+    {longitude: 90, symbol: "♋", label: "June solstice", cls: "solstice"},
+    {longitude: 180, symbol: "♎", label: "September equinox", cls: "equinox"},
+    {longitude: 270, symbol: "♑", label: "December solstice", cls: "solstice"},
+];
+
+/**
+ * Cross-quarter days, midway between solstices and equinoxes,
+ * with the Gaelic names of the northern hemisphere festivals.
+ * The symbols are the fixed signs the sun is then in the middle of.
+ */
+const CROSS_QUARTERS = [
+    {longitude: 45, symbol: "♉", label: "Beltane", cls: "cross-quarter"},
+    {longitude: 135, symbol: "♌", label: "Lughnasadh", cls: "cross-quarter"},
+    {longitude: 225, symbol: "♏", label: "Samhain", cls: "cross-quarter"},
+    {longitude: 315, symbol: "♒", label: "Imbolc", cls: "cross-quarter"},
+];
+
+/**
+ * The 24 solar terms (jieqi) of the Chinese calendar, every 15 degrees
+ * of solar longitude, with names in simplified and traditional Chinese
+ * characters, pinyin and English. The major terms (zhongqi) fall on
+ * multiples of 30 degrees, the minor terms (jieqi proper) between them.
+ */
+const SOLAR_TERMS = [
+    {longitude: 315, major: false, zh: "立春", "zh-Hant": "立春", pinyin: "Lìchūn", en: "Start of Spring"},
+    {longitude: 330, major: true, zh: "雨水", "zh-Hant": "雨水", pinyin: "Yǔshuǐ", en: "Rain Water"},
+    {longitude: 345, major: false, zh: "惊蛰", "zh-Hant": "驚蟄", pinyin: "Jīngzhé", en: "Awakening of Insects"},
+    {longitude: 0, major: true, zh: "春分", "zh-Hant": "春分", pinyin: "Chūnfēn", en: "Spring Equinox"},
+    {longitude: 15, major: false, zh: "清明", "zh-Hant": "清明", pinyin: "Qīngmíng", en: "Pure Brightness"},
+    {longitude: 30, major: true, zh: "谷雨", "zh-Hant": "穀雨", pinyin: "Gǔyǔ", en: "Grain Rain"},
+    {longitude: 45, major: false, zh: "立夏", "zh-Hant": "立夏", pinyin: "Lìxià", en: "Start of Summer"},
+    {longitude: 60, major: true, zh: "小满", "zh-Hant": "小滿", pinyin: "Xiǎomǎn", en: "Grain Buds"},
+    {longitude: 75, major: false, zh: "芒种", "zh-Hant": "芒種", pinyin: "Mángzhòng", en: "Grain in Ear"},
+    {longitude: 90, major: true, zh: "夏至", "zh-Hant": "夏至", pinyin: "Xiàzhì", en: "Summer Solstice"},
+    {longitude: 105, major: false, zh: "小暑", "zh-Hant": "小暑", pinyin: "Xiǎoshǔ", en: "Minor Heat"},
+    {longitude: 120, major: true, zh: "大暑", "zh-Hant": "大暑", pinyin: "Dàshǔ", en: "Major Heat"},
+    {longitude: 135, major: false, zh: "立秋", "zh-Hant": "立秋", pinyin: "Lìqiū", en: "Start of Autumn"},
+    {longitude: 150, major: true, zh: "处暑", "zh-Hant": "處暑", pinyin: "Chǔshǔ", en: "End of Heat"},
+    {longitude: 165, major: false, zh: "白露", "zh-Hant": "白露", pinyin: "Báilù", en: "White Dew"},
+    {longitude: 180, major: true, zh: "秋分", "zh-Hant": "秋分", pinyin: "Qiūfēn", en: "Autumn Equinox"},
+    {longitude: 195, major: false, zh: "寒露", "zh-Hant": "寒露", pinyin: "Hánlù", en: "Cold Dew"},
+    {longitude: 210, major: true, zh: "霜降", "zh-Hant": "霜降", pinyin: "Shuāngjiàng", en: "Frost's Descent"},
+    {longitude: 225, major: false, zh: "立冬", "zh-Hant": "立冬", pinyin: "Lìdōng", en: "Start of Winter"},
+    {longitude: 240, major: true, zh: "小雪", "zh-Hant": "小雪", pinyin: "Xiǎoxuě", en: "Minor Snow"},
+    {longitude: 255, major: false, zh: "大雪", "zh-Hant": "大雪", pinyin: "Dàxuě", en: "Major Snow"},
+    {longitude: 270, major: true, zh: "冬至", "zh-Hant": "冬至", pinyin: "Dōngzhì", en: "Winter Solstice"},
+    {longitude: 285, major: false, zh: "小寒", "zh-Hant": "小寒", pinyin: "Xiǎohán", en: "Minor Cold"},
+    {longitude: 300, major: true, zh: "大寒", "zh-Hant": "大寒", pinyin: "Dàhán", en: "Major Cold"},
+];
+
+/**
+ * Return table of solar terms.
+ * @param which "major" for the zhongqi, "minor" for the jieqi,
+ *   otherwise all 24
+ * @param names "zh", "zh-Hant", "pinyin" or "en" for the labels
+ */
+const solarTerms = function(which,names) {
+    return SOLAR_TERMS
+	.filter(t => which === "major" ? t.major : (which === "minor" ? !t.major : true))
+	.map(t => ({longitude: t.longitude,
+		    symbol: "",
+		    label: t[names] || t.en,
+		    cls: `solar-term ${t.major ? "zhongqi" : "jieqi"}`}));
+}
+
+/**
+ * Return name set for solar terms suited to locale: traditional
+ * or simplified characters for Chinese locales, else English.
+ */
+const solarTermNames = function(locale) {
+    if (!/^zh\b/i.test(locale)) {
+	return "en";
+    }
+    return /Hant|-(TW|HK|MO)\b/i.test(locale) ? "zh-Hant" : "zh";
+}
+
+/**
+ * Return table entry from object with longitude and optional
+ * symbol, label and cls, or null if it has no valid longitude.
+ */
+const solarEvent = function({longitude,symbol,label,cls}) {
+    const lambda = parseFloat(longitude);
+    if (isNaN(lambda)) {
+	return null;
+    }
+    return {longitude: lambda,
+	    symbol: symbol || "",
+	    label: label || `${lambda}°`,
+	    cls: cls || "solar-event"};
+}
+
+/**
+ * Parse table of solar events from comma-separated list of
+ * longitude:symbol:label, e.g. "45:♉:Beltane,315::Imbolc".
+ * Symbol and label may be left out. Bad entries are skipped.
+ */
+const parseSolarEvents = function(spec) {
+    return (spec || "").split(",")
+	.map(s => {
+	    const [longitude,symbol,label] = s.split(":");
+	    return solarEvent({longitude,symbol,label});
+	})
+	.filter(e => e !== null);
+}
+
+/**
+ * Return table of solar events from list of objects, as read
+ * from a JSON config file. Bad entries are skipped.
+ */
+const solarEventsFromList = function(list) {
+    return (Array.isArray(list) ? list : [])
+	.map(e => e instanceof Object ? solarEvent(e) : null)
+	.filter(e => e !== null);
+}
+
+/**
+ * Return occurrences of events in table in universal time range
+ * [start..end), each a copy of the entry with its moment added,
+ * in order of moment.
+ */
+const solarEventsBetween = function(table,start,end) {
+    const events = [];
+    for (const e of table) {
+	let tee = solarLongitudeAfter(e.longitude,start);
+	while (tee < end) {
+	    events.push({...e, moment: tee});
+	    tee = solarLongitudeAfter(e.longitude,tee + 1);
+	}
+    }
+    return events.sort((a,b) => a.moment - b.moment);
+}
+
+export {
+    SEASONS,
+    CROSS_QUARTERS,
+    SOLAR_TERMS,
+    solarTerms,
+    solarTermNames,
+    parseSolarEvents,
+    solarEventsFromList,
+    solarEventsBetween,
+}
@@ -0,0 +1,217 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * The calendar of a year as plain data, apart from any rendering.
+ * A model is JSON-safe: numbers, strings, booleans, arrays and plain
+ * objects only. Days are R.D. numbers (fixed dates); a time is
+ * {moment, local}, the universal moment and the moment in the
+ * calendar's zone, both as R.D. with fraction of day.
+ */
+
+import {fixedFromGregorian,gregorianFromFixed,gregorianNewYear,gregorianYearEnd} from './calendrica/gregorian.js';
+import {isoFromFixed} from './calendrica/iso.js';
+import {dayOfWeekFromFixed} from './calendrica/general.js';
+import {SEASONS} from './solar-events.js';
+import {holidayRules,holidaysBetween} from './holidays.js';
+import {LITURGICAL_CALENDARS} from './liturgical.js';
+import {HEBREW_HOLIDAYS,hebrewDate} from './hebrew.js';
+import {hijriDates,hijriDay} from './hijri.js';
+import {eventsBetween} from './ical.js';
+import {makeZone,localZoneName,locationOn} from './zone.js';
+import {LUNAR_PHASES,byDay,lunarPhaseIndex,solarEventIndex,dayTimeIndex} from './event-index.js';
+import {PRAYERS} from './prayer-times.js';
+
+/**
+ * Return rules from list of rules or from named presets.
+ * @param spec the list, or a string naming presets
+ * @param presets function from string to rules
+ */
+const rulesOf = function(spec,presets) {
+    return Array.isArray(spec) ? spec : presets(spec);
+}
+
+/**
+ * Return the calendar of 12 months from January of Gregorian year
+ * (or from startMonth) as plain data.
+ * Options, all optional:
+ *   startMonth  first month, 1 to 12; later months run into the next year
+ *   weekStart   first day of week, 0 for Sunday to 6 for Saturday (default 0)
+ *   weekend     list of weekend days (default [0,6], Saturday and Sunday)
+ *   zone        IANA zone name or offset such as "+05:30"
+ *               (default the runtime's zone)
+ *   location    {latitude, longitude, elevation} of the observer
+ *               for sun times
+ *   moonTimes   true for moonrise and moonset at location
+ *   twilight    solar depression angle of dawn and dusk at location
+ *   prayer      convention {method, asr, highLatitude} of prayer times at
+ *               location (see prayer-times.js)
+ *   solarEvents table of solar events (default solstices and equinoxes)
+ *   holidays    holiday rules, or country codes such as "US,CA"
+ *   liturgical  feast rules, or "western" or "eastern"
+ *   hebrew      true for Hebrew dates and holidays
+ *   hijri       "tabular" or "observational" for Hijri dates, the
+ *               latter from the crescent seen at location (or Cairo)
+ *   locale      language of Hebrew and Hijri month names
+ *   events      personal events as parsed from iCalendar
+ * The model is {year, startMonth, weekStart, weekend, zone, location,
+ * twilight, prayer, months}, where each
+ * month is {year, month, days} and each day is
+ *   {rd, year, month, day, weekday, weekend, firstOfWeek, holiday,
+ *    dayOfYear, daysRemaining (in the Gregorian year),
+ *    isoWeek: {year, week} or null,
+ *    lunarPhase: {angle, name, time} or null,
+ *    solarEvents: [{longitude, symbol, label, cls, time}],
+ *    holidays: [{label, observed}], feasts: [{label}],
+ *    events: [{summary, allDay, time}],
+ *    hebrew: {year, month, day, monthName, roshChodesh, holidays: [{label}]},
+ *    hijri: {year, month, day, monthName, holidays: [{label}]},
+ *    sun: {rise, set}, moon: {rise, set}, twilight: {dawn, dusk},
+ *    prayer: {fajr, dhuhr, asr, maghrib, isha}}
+ * with hebrew, hijri, sun, moon, twilight and prayer null when not
+ * asked for. isoWeek is given on the first day of each week: the ISO
+ * 8601 week of the middle day of the week, which holds most of its
+ * days. An event time is the start in the zone as fraction of day,
+ * or null. Throws RangeError if the zone is not known.
+ */
+const buildYearModel = function(year,options = {}) {
+    const zone = options.zone ? makeZone(options.zone) : makeZone(localZoneName());
+    if (zone === null) {
+	throw new RangeError(`unknown time zone ${options.zone}`);
+    }
+    const loc = options.location ? {elevation: 0, ...options.location} : null;
+    const twilight = loc && options.twilight || null;
+    const prayer = loc && options.prayer || null;
+    const weekStart = options.weekStart ?? 0;
+    const weekend = options.weekend || [0,6];
+    const startMonth = Math.min(Math.max(parseInt(options.startMonth) || 1,1),12);
+    /** Gregorian year and month of i-th month of the span */
+    const yearMonth = i => [year + Math.floor((startMonth - 1 + i)/12),(startMonth - 1 + i)%12 + 1];
+    const start = fixedFromGregorian(year,startMonth,1);
+    const end = fixedFromGregorian(...yearMonth(12),1);
+
+    /** Astronomical indexes of the Gregorian years of the span, by year */
+    const indexes = new Map(
+	(startMonth === 1 ? [year] : [year,year+1]).map(y => [y,{
+	    lunarPhases: lunarPhaseIndex(y,zone),
+	    solarEvents: solarEventIndex(y,zone,options.solarEvents || SEASONS),
+	    sun: loc && dayTimeIndex("sun",y,zone,loc),
+	    moon: loc && options.moonTimes ? dayTimeIndex("moon",y,zone,loc) : null,
+	    twilight: twilight && dayTimeIndex("twilight",y,zone,loc,twilight),
+	    prayer: prayer && dayTimeIndex("prayer",y,zone,loc,prayer),
+	}]));
+    const holidays = byDay(
+	holidaysBetween(rulesOf(options.holidays,holidayRules),start,end));
+    const feasts = byDay(
+	holidaysBetween(rulesOf(options.liturgical,name => LITURGICAL_CALENDARS[name] || []),
+			start,end));
+    const events = byDay(eventsBetween(options.events || [],start,end,zone));
+    const hebrewHolidays = byDay(options.hebrew ? holidaysBetween(HEBREW_HOLIDAYS,start,end) : []);
+    const hijri = options.hijri ?
+	hijriDates(start,end,options.hijri === "observational",
+		   ...(loc ? [locationOn(loc,start,zone)] : []))
+	: new Map();
+
+    /** ISO year and week of fixed date */
+    const isoWeekOf = function(rd) {
+	const {year,week} = isoFromFixed(rd);
+	return {year: year, week: week};
+    }
+
+    /** Model of fixed date */
+    const dayModel = function(rd) {
+	const {year,month,day} = gregorianFromFixed(rd);
+	const weekday = dayOfWeekFromFixed(rd);
+	const index = indexes.get(year);
+	return {
+	    rd: rd, year: year, month: month, day: day,
+	    weekday: weekday,
+	    weekend: weekend.includes(weekday),
+	    firstOfWeek: weekday === weekStart,
+	    holiday: holidays.has(rd),
+	    dayOfYear: rd - gregorianNewYear(year) + 1,
+	    daysRemaining: gregorianYearEnd(year) - rd,
+	    isoWeek: weekday === weekStart ? isoWeekOf(rd + 3) : null,
+	    lunarPhase: index.lunarPhases.get(rd) || null,
+	    solarEvents: (index.solarEvents.get(rd) || [])
+		.map(({longitude,symbol,label,cls,time}) => ({longitude,symbol,label,cls,time})),
+	    holidays: (holidays.get(rd) || []).map(({label,observed}) => ({label,observed})),
+	    feasts: (feasts.get(rd) || []).map(({label}) => ({label})),
+	    events: (events.get(rd) || []).map(({summary,allDay,time}) => ({summary,allDay,time})),
+	    hebrew: options.hebrew ? {
+		...hebrewDate(rd,options.locale),
+		holidays: (hebrewHolidays.get(rd) || []).map(({label}) => ({label})),
+	    } : null,
+	    hijri: hijri.has(rd) ? hijriDay(hijri.get(rd),options.locale) : null,
+	    sun: index.sun && index.sun.get(rd),
+	    moon: index.moon && index.moon.get(rd),
+	    twilight: index.twilight && index.twilight.get(rd),
+	    prayer: index.prayer && index.prayer.get(rd),
+	};
+    }
+
+    const months = [];
+    for (let i = 0; i < 12; i++) {
+	const [y,month] = yearMonth(i);
+	const days = [];
+	for (let rd = fixedFromGregorian(y,month,1); rd < fixedFromGregorian(...yearMonth(i+1),1); rd++) {
+	    days.push(dayModel(rd));
+	}
+	months.push({year: y, month: month, days: days});
+    }
+    return {year: year, startMonth: startMonth, weekStart: weekStart, weekend: weekend,
+	    zone: zone.name, location: loc, twilight: twilight, prayer: prayer, months: months};
+}
+
+/**
+ * Return list of events of model with exact times, for iCalendar
+ * export: lunar phases, solar events, holidays, feasts and Hebrew
+ * and Hijri holidays, and the rise, set, twilight and prayer times
+ * of the model. Each is {uid, summary} with start, a universal
+ * moment, or date, an R.D. for all day.
+ */
+const modelEvents = function(model) {
+    const uid = (kind,n) => `${kind}-${Math.round(n*24*60)}@calendar-mod`;
+    const list = [];
+    for (const d of model.months.flatMap(m => m.days)) {
+	if (d.lunarPhase) {
+	    list.push({uid: uid(`moon${d.lunarPhase.angle}`,d.lunarPhase.time.moment),
+		       summary: d.lunarPhase.name, start: d.lunarPhase.time.moment});
+	}
+	for (const e of d.solarEvents) {
+	    list.push({uid: uid(`sun${e.longitude}`,e.time.moment),
+		       summary: e.symbol ? `${e.symbol} ${e.label}` : e.label,
+		       start: e.time.moment});
+	}
+	for (const [kind,entries] of [["holiday",d.holidays],["feast",d.feasts],
+				      ["hebrew",d.hebrew ? d.hebrew.holidays : []],
+				      ["hijri",d.hijri ? d.hijri.holidays : []]]) {
+	    entries.forEach((h,i) => list.push({
+		uid: uid(`${kind}${i}`,d.rd),
+		summary: h.observed ? `${h.label} (observed)` : h.label,
+		date: d.rd}));
+	}
+	const times = [["Sunrise",d.sun && d.sun.rise],["Sunset",d.sun && d.sun.set],
+		       ["Moonrise",d.moon && d.moon.rise],["Moonset",d.moon && d.moon.set],
+		       [`Dawn (${model.twilight}°)`,d.twilight && d.twilight.dawn],
+		       [`Dusk (${model.twilight}°)`,d.twilight && d.twilight.dusk],
+		       ...PRAYERS.map(p => [p.name,d.prayer && d.prayer[p.key]])];
+	for (const [name,time] of times.filter(([name,time]) => time)) {
+	    list.push({uid: uid(name.replace(/\W/g,""),time.local),
+		       summary: name, start: time.moment});
+	}
+    }
+    return list.sort((a,b) => (a.start ?? a.date) - (b.start ?? b.date));
+}
+
+export {
+    LUNAR_PHASES,
+    buildYearModel,
+    modelEvents,
+}
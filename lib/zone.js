@@ -0,0 +1,114 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Calendar time zones. A zone is an object with the zone name and
+ * an offset function giving the difference between zone time and
+ * universal time, as a fraction of a day, at a universal moment.
+ * Moments are R.D. moments as in calendrica.
+ */
+
+import {fixedFromGregorian} from './calendrica/gregorian.js';
+import {hr,momentFromUnix,unixFromMoment} from './calendrica/general.js';
+
+/** Formatters giving wall clock parts, by IANA zone name */
+const wallClockFormats = new Map();
+
+/**
+ * Return formatter for wall clock time in IANA zone.
+ * Throws RangeError if the zone is not known.
+ */
+const wallClockFormat = function(timeZone) {
+    if (!wallClockFormats.has(timeZone)) {
+	wallClockFormats.set(timeZone,new Intl.DateTimeFormat("en-US",{
+	    timeZone: timeZone, hourCycle: "h23",
+	    year: "numeric", month: "numeric", day: "numeric",
+	    hour: "numeric", minute: "numeric", second: "numeric"}));
+    }
+    return wallClockFormats.get(timeZone);
+}
+
+/**
+ * Offset of IANA zone from universal time at moment tee,
+ * as a fraction of a day rounded to the minute.
+ */
+const ianaOffset = function(timeZone,tee) {
+    const d = new Date(Math.round(unixFromMoment(tee))*1000);
+    const p = {};
+    for (const {type,value} of wallClockFormat(timeZone).formatToParts(d)) {
+	p[type] = parseInt(value);
+    }
+    const wall = fixedFromGregorian(p.year,p.month,p.day)
+	  + (p.hour*60*60 + p.minute*60 + p.second)/(24*60*60);
+    return Math.round((wall - momentFromUnix(d.getTime()/1000))*24*60)/(24*60);
+}
+
+/**
+ * Return zone for spec, which is an IANA zone name such as
+ * "Europe/Berlin", or a fixed offset from UTC such as "+05:30",
+ * "UTC-8" or "-8" (hours). Null if spec is not recognized.
+ * A "+" that came through a URL query as a space is accepted.
+ */
+const makeZone = function(spec) {
+    if (typeof spec !== "string") {
+	return null;
+    }
+    const s = spec.replace(/^(UTC|GMT)?\s+(?=\d)/i,"$1+").trim();
+    if (/^(UTC|GMT|Z)$/i.test(s)) {
+	return {name: "UTC", offset: () => 0};
+    }
+    const m = s.match(/^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i)
+	  || s.match(/^()(-?\d+(?:\.\d+)?)()$/);
+    if (m) {
+	const hours = parseFloat(m[2]) + (parseInt(m[3]) || 0)/60;
+	const offset = hr(m[1] === "-" || m[2].startsWith("-") ? -Math.abs(hours) : hours);
+	return {name: s, offset: () => offset};
+    }
+    try {
+	wallClockFormat(s);
+    } catch (e) {
+	return null;
+    }
+    return {name: s, offset: tee => ianaOffset(s,tee)};
+}
+
+/** Name of the runtime's local time zone */
+const localZoneName = function() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/** Time in zone at universal moment tee. */
+const zonedFromUniversal = function(tee,zone) {
+    return tee + zone.offset(tee);
+}
+
+/**
+ * Universal moment of time tee in zone. A time skipped or
+ * repeated at a zone transition resolves to one side of it.
+ */
+const universalFromZoned = function(tee,zone) {
+    return tee - zone.offset(tee - zone.offset(tee));
+}
+
+/**
+ * Calendrica location with the standard zone of location replaced by
+ * the offset of zone at noon of fixed date, for rise and set
+ * functions that take the zone from the location.
+ */
+const locationOn = function(location,date,zone) {
+    return {...location, zone: zone.offset(universalFromZoned(date + hr(12),zone))};
+}
+
+export {
+    makeZone,
+    localZoneName,
+    zonedFromUniversal,
+    universalFromZoned,
+    locationOn,
+}
@@ -0,0 +1,24 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {makeZone} from '../lib/zone.js';
+import {dayTimeIndex} from '../lib/event-index.js';
+
+test("twilight near the pole is a time or null",() => {
+    const location = {latitude: 89.9, longitude: 10, elevation: 0};
+    [2,0.8].forEach(angle => {
+	const index = dayTimeIndex("twilight",2027,makeZone("UTC"),location,angle);
+	assert.equal(index.size,365);
+	index.forEach((times,rd) => ["dawn","dusk"].forEach(
+	    name => assert.ok(times[name] === null || Number.isFinite(times[name].moment),
+			      `${name} ${angle} on ${rd}`)));
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {fixedFromGregorian,gregorianFromFixed} from '../lib/calendrica/gregorian.js';
+import {holidayRules,holidaysBetween} from '../lib/holidays.js';
+
+/** Return "month-day label" of observed holidays of spec in December 2027. */
+const observedInDecember = function(spec) {
+    return holidaysBetween(holidayRules(spec),fixedFromGregorian(2027,12,1),
+			   fixedFromGregorian(2028,1,1))
+	.filter(h => h.observed)
+	.map(h => `${gregorianFromFixed(h.rd).month}-${gregorianFromFixed(h.rd).day} ${h.label}`);
+}
+
+test("each country moves weekend holidays past its own",() => {
+    const expected = ["12-27 Christmas Day","12-28 Boxing Day"];
+    assert.deepEqual(observedInDecember("UK"),expected);
+    assert.deepEqual(observedInDecember("CA"),expected);
+    assert.deepEqual(observedInDecember("UK,CA"),expected);
+});
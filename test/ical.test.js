@@ -0,0 +1,47 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {fixedFromGregorian,gregorianFromFixed} from '../lib/calendrica/gregorian.js';
+import {makeZone} from '../lib/zone.js';
+import {parseICalendar,eventsBetween} from '../lib/ical.js';
+
+/** Return iCalendar text of one event of content lines. */
+const calendar = function(...lines) {
+    return ["BEGIN:VCALENDAR","BEGIN:VEVENT",...lines,"END:VEVENT","END:VCALENDAR"].join("\r\n");
+}
+
+/** Return month-day strings of event occurrences in 2027. */
+const daysIn2027 = function(text) {
+    return eventsBetween(parseICalendar(text),fixedFromGregorian(2027,1,1),
+			 fixedFromGregorian(2028,1,1),makeZone("UTC"))
+	.map(e => gregorianFromFixed(e.rd))
+	.map(d => `${d.month}-${d.day}`);
+}
+
+test("properties of an alarm do not replace the event's",() => {
+    const [ev] = parseICalendar(calendar(
+	"UID:event","SUMMARY:Dentist","DTSTART:20270310T090000Z","DURATION:PT1H",
+	"BEGIN:VALARM","UID:alarm","ACTION:DISPLAY","DURATION:PT15M","END:VALARM"));
+    assert.equal(ev.uid,"event");
+    assert.equal(ev.duration,1/24);
+});
+
+test("a daily rule keeps only the days of BYDAY",() => {
+    assert.deepEqual(daysIn2027(calendar(
+	"SUMMARY:Gym","DTSTART;VALUE=DATE:20270301","RRULE:FREQ=DAILY;BYDAY=MO,WE;UNTIL=20270314")),
+		     ["3-1","3-3","3-8","3-10"]);
+});
+
+test("BYMONTHDAY and BYDAY together keep days matching both",() => {
+    assert.deepEqual(daysIn2027(calendar(
+	"SUMMARY:Friday the 13th","DTSTART;VALUE=DATE:20270813","RRULE:FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13")),
+		     ["8-13"]);
+});
@@ -0,0 +1,24 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {parseOptions} from '../lib/options.js';
+
+/** Return longitude of options of ?lat=52&lon=lon */
+const longitude = function(lon) {
+    return parseOptions(new URLSearchParams({lat: "52", lon: lon}),"en").location.longitude;
+}
+
+test("longitude is taken into -180 to 180",() => {
+    assert.equal(longitude("13.4"),13.4);
+    assert.equal(longitude("370"),10);
+    assert.equal(longitude("-190"),170);
+    assert.equal(longitude("180"),180);
+});
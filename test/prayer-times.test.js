@@ -0,0 +1,29 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {fixedFromGregorian} from '../lib/calendrica/gregorian.js';
+import {prayerTimes,PRAYERS} from '../lib/prayer-times.js';
+
+test("prayer times near the pole are times or null",() => {
+    const location = {latitude: 89.9, longitude: 10, elevation: 0, zone: 0};
+    const start = fixedFromGregorian(2027,1,1);
+    for (let date = start; date < start + 365; date++) {
+	const times = prayerTimes(date,location);
+	PRAYERS.forEach(p => assert.ok(times[p.key] === null || Number.isFinite(times[p.key]),
+				       `${p.name} on day ${date - start + 1}`));
+    }
+});
+
+test("Asr falls between Dhuhr and Maghrib at mid-latitudes",() => {
+    const times = prayerTimes(fixedFromGregorian(2027,3,24),
+			      {latitude: 51.5, longitude: -0.13, elevation: 0, zone: 0});
+    assert.ok(times.dhuhr < times.asr && times.asr < times.maghrib);
+});
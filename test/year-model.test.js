@@ -0,0 +1,17 @@
+/**
+ *  Copyright 2024 Paul H. Tyson
+ *  phtyson at sbcglobal dot net
+ *
+ *  This Source Code Form is subject to the terms of the
+ *  Mozilla Public License, v. 2.0. If a copy of the MPL was not distributed
+ *  with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {buildYearModel} from '../lib/year-model.js';
+
+test("an unknown time zone is an error",() => {
+    assert.throws(() => buildYearModel(2027,{zone: "Europe/Berln"}),RangeError);
+    assert.equal(buildYearModel(2027,{zone: "Europe/Berlin"}).zone,"Europe/Berlin");
+});